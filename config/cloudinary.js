@@ -11,3 +11,14 @@ cloudinary.config({
 
 export default cloudinary;
 
+// Upload a file held in memory, resolving with Cloudinary's upload result
+export const uploadBuffer = (buffer, options) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(result);
+    }
+  });
+  stream.end(buffer);
+});
@@ -0,0 +1,45 @@
+import pool from './connection.js';
+
+// Assign waypoints without an owner (created before per-user ownership) to a user.
+// Usage: npm run assign-waypoints -- user@example.com [--all]
+//   --all  also reassign waypoints that already belong to someone else
+async function assignWaypoints() {
+  const args = process.argv.slice(2);
+  const email = args.find((arg) => !arg.startsWith('--'));
+  const reassignAll = args.includes('--all');
+
+  if (!email) {
+    console.error('Usage: npm run assign-waypoints -- <email> [--all]');
+    process.exit(1);
+  }
+
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (userResult.rows.length === 0) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    const user = userResult.rows[0];
+    const result = await pool.query(
+      `UPDATE waypoints
+       SET user_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(name) <> 'default location'
+         AND ($2 OR user_id IS NULL)
+       RETURNING id`,
+      [user.id, reassignAll]
+    );
+
+    console.log(`✅ Assigned ${result.rowCount} waypoint(s) to ${user.email}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error assigning waypoints:', error.message);
+    process.exit(1);
+  }
+}
+
+assignWaypoints();
@@ -0,0 +1,24 @@
+-- Create table for photos, audio notes, documents etc. attached to waypoints
+CREATE TABLE IF NOT EXISTS waypoint_attachments (
+    id SERIAL PRIMARY KEY,
+    waypoint_id INTEGER NOT NULL REFERENCES waypoints(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    public_id TEXT,
+    resource_type VARCHAR(20),
+    mime_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    original_filename VARCHAR(255),
+    caption TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    -- Position and capture time read from photo EXIF data, if present
+    exif_latitude DECIMAL(10, 8),
+    exif_longitude DECIMAL(11, 8),
+    exif_altitude DOUBLE PRECISION,
+    captured_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for listing a waypoint's attachments in order
+CREATE INDEX IF NOT EXISTS idx_waypoint_attachments_waypoint ON waypoint_attachments(waypoint_id, position);
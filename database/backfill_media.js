@@ -0,0 +1,66 @@
+import pool from './connection.js';
+import { keyFromUrl } from '../services/storage/cloudinary.js';
+
+// Record the Cloudinary images waypoints used before media_files existed, so
+// they are released and cleaned up like newer uploads. Each file is owned by
+// the owner of the first waypoint that used it. Only URLs in this app's
+// Cloudinary account (CLOUDINARY_CLOUD_NAME) are recorded: files anywhere
+// else aren't ours to delete.
+// Usage: npm run backfill-media -- [--dry-run]
+//   --dry-run  only report what would be recorded
+async function backfillMedia() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  if (!process.env.CLOUDINARY_CLOUD_NAME) {
+    console.error('❌ CLOUDINARY_CLOUD_NAME is not set');
+    process.exit(1);
+  }
+  const prefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`;
+
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (w.image_url) w.image_url, w.user_id
+       FROM waypoints w
+       WHERE left(w.image_url, length($1)) = $1
+         AND NOT EXISTS (SELECT 1 FROM media_files m WHERE m.url = w.image_url)
+       ORDER BY w.image_url, w.created_at, w.id`,
+      [prefix]
+    );
+
+    let recorded = 0;
+    let skipped = 0;
+
+    for (const { image_url, user_id } of result.rows) {
+      const key = keyFromUrl(image_url);
+      if (!key) {
+        console.log(`ℹ️  Skipped ${image_url}: not a Cloudinary delivery URL`);
+        skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`Would record cloudinary:${key} for user ${user_id ?? 'none'}`);
+        recorded++;
+        continue;
+      }
+
+      const insert = await pool.query(
+        `INSERT INTO media_files (user_id, provider, storage_key, url)
+         VALUES ($1, 'cloudinary', $2, $3)
+         ON CONFLICT (provider, storage_key) DO NOTHING`,
+        [user_id, key, image_url]
+      );
+      recorded += insert.rowCount;
+    }
+
+    console.log(dryRun
+      ? `ℹ️  ${recorded} file(s) would be recorded, ${skipped} skipped. Nothing changed (dry run).`
+      : `✅ Recorded ${recorded} file(s), ${skipped} skipped`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling media:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillMedia();
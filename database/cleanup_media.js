@@ -0,0 +1,42 @@
+import pool from './connection.js';
+import { cleanupOrphanedMedia } from '../utils/media.js';
+
+// Delete uploaded files that no waypoint or attachment uses, once they are
+// older than the grace period. Run it periodically, e.g. daily from cron.
+// Usage: npm run cleanup-media -- [--dry-run] [--grace-hours=24]
+//   --dry-run        only report what would be deleted
+//   --grace-hours=N  keep unused files younger than N hours (default MEDIA_ORPHAN_GRACE_HOURS or 24)
+async function cleanupMedia() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const graceArg = args.find((arg) => arg.startsWith('--grace-hours='));
+  const graceHours = Number(graceArg ? graceArg.split('=')[1] : process.env.MEDIA_ORPHAN_GRACE_HOURS || 24);
+
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    console.error('Usage: npm run cleanup-media -- [--dry-run] [--grace-hours=N]');
+    process.exit(1);
+  }
+
+  try {
+    const report = await cleanupOrphanedMedia({ graceHours, dryRun });
+
+    for (const file of report.files) {
+      console.log(`${dryRun ? 'Would delete' : 'Found'} #${file.id} ${file.provider}:${file.storage_key} (${file.size_bytes ?? '?'} bytes, uploaded ${new Date(file.created_at).toISOString()})`);
+    }
+    for (const failure of report.failed) {
+      console.error(`❌ Failed to delete #${failure.id}: ${failure.error}`);
+    }
+
+    if (dryRun) {
+      console.log(`ℹ️  ${report.orphaned} unused file(s), ${report.orphaned_bytes} bytes, older than ${graceHours} hour(s). Nothing deleted (dry run).`);
+    } else {
+      console.log(`✅ Deleted ${report.deleted} of ${report.orphaned} unused file(s) older than ${graceHours} hour(s)`);
+    }
+    process.exit(report.failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error cleaning up media:', error.message);
+    process.exit(1);
+  }
+}
+
+cleanupMedia();
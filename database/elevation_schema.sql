@@ -0,0 +1,4 @@
+-- Add ground elevation / water depth at each waypoint, sampled from the
+-- configured elevation grid (see services/elevation.js). Metres above the
+-- vertical datum; negative below it, e.g. on a lake or river bed.
+ALTER TABLE waypoints ADD COLUMN IF NOT EXISTS elevation_m DOUBLE PRECISION;
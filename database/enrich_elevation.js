@@ -0,0 +1,58 @@
+import pool from './connection.js';
+import { getElevation, isElevationConfigured } from '../services/elevation.js';
+
+// Sample the elevation grid for waypoints saved before it was configured.
+// New and moved waypoints get their elevation when they are saved.
+// Usage: npm run enrich-elevation -- [--all]
+//   --all  also resample waypoints that already have an elevation (e.g. after replacing the grid)
+const BATCH_SIZE = 500;
+
+async function enrichElevation() {
+  const all = process.argv.slice(2).includes('--all');
+
+  if (!isElevationConfigured()) {
+    console.error('❌ ELEVATION_GRID_PATH is not set');
+    process.exit(1);
+  }
+
+  try {
+    let lastId = 0;
+    let updated = 0;
+    let outside = 0;
+
+    for (;;) {
+      const result = await pool.query(
+        `SELECT id, latitude, longitude
+         FROM waypoints
+         WHERE id > $1 AND ($2 OR elevation_m IS NULL)
+         ORDER BY id
+         LIMIT $3`,
+        [lastId, all, BATCH_SIZE]
+      );
+      if (result.rows.length === 0) break;
+
+      for (const waypoint of result.rows) {
+        const elevation = await getElevation(waypoint.latitude, waypoint.longitude);
+        if (elevation === null) {
+          outside++;
+          continue;
+        }
+        // No change_author, so the change isn't attributed to a user
+        await pool.query(
+          'UPDATE waypoints SET elevation_m = $1 WHERE id = $2 AND elevation_m IS DISTINCT FROM $1',
+          [elevation, waypoint.id]
+        );
+        updated++;
+      }
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+
+    console.log(`✅ Sampled elevation for ${updated} waypoint(s); ${outside} outside the grid or on NODATA`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error enriching elevation:', error.message);
+    process.exit(1);
+  }
+}
+
+enrichElevation();
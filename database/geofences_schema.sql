@@ -0,0 +1,63 @@
+-- Create table for geofences: survey zones, restricted areas and shoreline
+-- buffers drawn as a polygon or a circle
+CREATE TABLE IF NOT EXISTS geofences (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(30) NOT NULL DEFAULT 'other'
+        CHECK (category IN ('survey_zone', 'restricted', 'shoreline_buffer', 'other')),
+    -- Project geofences apply to the project's members; others only to their creator
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    shape VARCHAR(10) NOT NULL CHECK (shape IN ('polygon', 'circle')),
+    -- Polygon rings as GeoJSON Polygon coordinates: [[[longitude, latitude], ...], <holes>...]
+    coordinates JSONB,
+    center_latitude DECIMAL(10, 8),
+    center_longitude DECIMAL(11, 8),
+    radius_m DOUBLE PRECISION,
+    -- Bounding box, so positions far away skip the exact containment test
+    min_latitude DOUBLE PRECISION NOT NULL,
+    min_longitude DOUBLE PRECISION NOT NULL,
+    max_latitude DOUBLE PRECISION NOT NULL,
+    max_longitude DOUBLE PRECISION NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (shape = 'polygon' AND coordinates IS NOT NULL)
+        OR (shape = 'circle' AND center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_m > 0)
+    )
+);
+
+-- Create indexes for listing a user's and a project's geofences
+CREATE INDEX IF NOT EXISTS idx_geofences_created_by ON geofences(created_by);
+CREATE INDEX IF NOT EXISTS idx_geofences_project_id ON geofences(project_id);
+
+-- Create table for whether each user was last seen inside or outside each
+-- geofence, so a new position only produces an event when that changes
+CREATE TABLE IF NOT EXISTS geofence_states (
+    geofence_id INTEGER NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    inside BOOLEAN NOT NULL,
+    -- Time of the position that set the state; older positions are ignored
+    recorded_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (user_id, geofence_id)
+);
+
+-- Create table for the enter/exit event log
+CREATE TABLE IF NOT EXISTS geofence_events (
+    id BIGSERIAL PRIMARY KEY,
+    geofence_id INTEGER NOT NULL REFERENCES geofences(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(10) NOT NULL CHECK (event IN ('enter', 'exit')),
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    recorded_at TIMESTAMP NOT NULL,
+    -- Track the position was recorded in, if it came from one
+    track_id INTEGER REFERENCES tracks(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for reading the event log per geofence and per user
+CREATE INDEX IF NOT EXISTS idx_geofence_events_geofence ON geofence_events(geofence_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_geofence_events_user ON geofence_events(user_id, id DESC);
@@ -0,0 +1,82 @@
+-- Soft delete: deleted waypoints are kept for a retention window in which they
+-- can be restored, then purged by `npm run purge-waypoints`
+ALTER TABLE waypoints
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  -- User who made the latest change, recorded in the history
+  ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  -- Set by each update a user makes to name its author; moved into updated_by
+  -- by waypoints_track_author and never stored
+  ADD COLUMN IF NOT EXISTS change_author INTEGER;
+
+-- Create index for finding deleted waypoints to list or purge
+CREATE INDEX IF NOT EXISTS idx_waypoints_deleted_at ON waypoints(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Create table for the audit log: one entry per create, update, delete and
+-- restore, with the waypoint as it was before and after the change
+CREATE TABLE IF NOT EXISTS waypoint_history (
+    id SERIAL PRIMARY KEY,
+    -- No foreign key: the history outlives purged waypoints
+    waypoint_id INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    version INTEGER NOT NULL,
+    before JSONB,
+    after JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for reading a waypoint's history in order
+CREATE INDEX IF NOT EXISTS idx_waypoint_history_waypoint ON waypoint_history(waypoint_id, version);
+
+-- The author of an update is the change_author it sets. Changes that don't
+-- set one (such as a project's deletion clearing project_id) were not made
+-- by a user.
+CREATE OR REPLACE FUNCTION waypoints_track_author() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_by := NEW.change_author;
+  NEW.change_author := NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_track_author ON waypoints;
+CREATE TRIGGER waypoints_track_author
+  BEFORE UPDATE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION waypoints_track_author();
+
+CREATE OR REPLACE FUNCTION waypoints_record_history() RETURNS trigger AS $$
+DECLARE
+  bookkeeping TEXT[] := ARRAY['change_txid', 'change_seq', 'change_author'];
+  change_action VARCHAR(20);
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    change_action := 'create';
+  ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    change_action := 'delete';
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    change_action := 'restore';
+  ELSE
+    change_action := 'update';
+  END IF;
+
+  INSERT INTO waypoint_history (waypoint_id, action, user_id, version, before, after)
+  VALUES (
+    NEW.id,
+    change_action,
+    CASE WHEN TG_OP = 'INSERT' THEN COALESCE(NEW.updated_by, NEW.user_id) ELSE NEW.updated_by END,
+    NEW.version,
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) - bookkeeping END,
+    to_jsonb(NEW) - bookkeeping
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_record_history ON waypoints;
+CREATE TRIGGER waypoints_record_history
+  AFTER INSERT OR UPDATE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION waypoints_record_history();
+
+-- Create index for finding the versions that used an image
+CREATE INDEX IF NOT EXISTS idx_waypoint_history_image_url ON waypoint_history((after->>'image_url'));
@@ -6,39 +6,52 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Schema files in the order they must run (later files reference earlier tables)
+const schemaFiles = [
+  { file: 'schema.sql', label: 'Waypoints table created' },
+  { file: 'auth_schema.sql', label: 'Users table created' },
+  { file: 'ownership_schema.sql', label: 'Waypoint ownership and sharing migrated' },
+  { file: 'projects_schema.sql', label: 'Projects and members tables created' },
+  { file: 'tracks_schema.sql', label: 'Tracks and track points tables created' },
+  { file: 'spatial_schema.sql', label: 'Spatial index created' },
+  { file: 'sessions_schema.sql', label: 'Sessions table created' },
+  { file: 'account_tokens_schema.sql', label: 'Email verification and password reset tokens created' },
+  { file: 'attachments_schema.sql', label: 'Waypoint attachments table created' },
+  { file: 'storage_schema.sql', label: 'Media files table created' },
+  { file: 'sync_schema.sql', label: 'Waypoint versions and change feed created' },
+  { file: 'history_schema.sql', label: 'Waypoint history and soft delete created' },
+  { file: 'surveys_schema.sql', label: 'Survey forms and observations tables created' },
+  { file: 'geofences_schema.sql', label: 'Geofences and geofence events tables created' },
+  { file: 'live_schema.sql', label: 'Member positions and live event notifications created' },
+  { file: 'route_plans_schema.sql', label: 'Route plans and stops tables created' },
+  { file: 'elevation_schema.sql', label: 'Waypoint elevation added' },
+  { file: 'roles_schema.sql', label: 'User roles and deactivation added' },
+  { file: 'preferences_schema.sql', label: 'User, project and global preferences table created' },
+];
+
 async function initializeDatabase() {
   try {
     console.log('Initializing database...');
 
-    // Read and execute waypoints schema
-    const waypointsSchema = fs.readFileSync(
-      path.join(__dirname, 'schema.sql'),
-      'utf8'
-    );
-    await pool.query(waypointsSchema);
-    console.log('✓ Waypoints table created');
-
-    // Read and execute auth schema
-    const authSchema = fs.readFileSync(
-      path.join(__dirname, 'auth_schema.sql'),
-      'utf8'
-    );
-    await pool.query(authSchema);
-    console.log('✓ Users table created');
+    for (const { file, label } of schemaFiles) {
+      const schema = fs.readFileSync(path.join(__dirname, file), 'utf8');
+      try {
+        await pool.query(schema);
+        console.log(`✓ ${label}`);
+      } catch (error) {
+        // A table that already exists is okay; later files may still add to it
+        if (error.code !== '42P07') throw error;
+        console.log(`ℹ️  ${file}: tables already exist. This is okay.`);
+      }
+    }
 
     console.log('\n✅ Database initialization completed successfully!');
     process.exit(0);
   } catch (error) {
     console.error('❌ Error initializing database:', error.message);
-    if (error.code === '42P07') {
-      console.log('ℹ️  Tables already exist. This is okay.');
-      process.exit(0);
-    } else {
-      console.error('Full error:', error);
-      process.exit(1);
-    }
+    console.error('Full error:', error);
+    process.exit(1);
   }
 }
 
 initializeDatabase();
-
@@ -0,0 +1,105 @@
+-- Create table for the latest position each member shared with a project
+CREATE TABLE IF NOT EXISTS member_positions (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    accuracy DOUBLE PRECISION,
+    speed DOUBLE PRECISION,
+    heading DOUBLE PRECISION,
+    recorded_at TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, user_id)
+);
+
+-- Live events are sent with NOTIFY on the live_events channel and forwarded
+-- to connected clients by services/live.js. Notifications are delivered when
+-- the transaction commits, so rolled back changes are never broadcast.
+
+-- Broadcast a project's waypoints being created, updated, deleted and restored.
+-- A waypoint moved to another project is reported as deleted from the old one.
+CREATE OR REPLACE FUNCTION waypoints_notify_live() RETURNS trigger AS $$
+DECLARE
+  change_action VARCHAR(20);
+  waypoint RECORD;
+  previous_project_id INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    change_action := 'create';
+    waypoint := NEW;
+  ELSIF TG_OP = 'DELETE' THEN
+    -- Purging a soft deleted waypoint was already broadcast as its deletion
+    IF OLD.deleted_at IS NOT NULL THEN
+      RETURN NULL;
+    END IF;
+    change_action := 'delete';
+    waypoint := OLD;
+  ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    change_action := 'delete';
+    waypoint := NEW;
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    change_action := 'restore';
+    waypoint := NEW;
+  ELSIF NEW.deleted_at IS NOT NULL THEN
+    RETURN NULL;
+  ELSE
+    change_action := 'update';
+    waypoint := NEW;
+    IF OLD.project_id IS DISTINCT FROM NEW.project_id THEN
+      previous_project_id := OLD.project_id;
+    END IF;
+  END IF;
+
+  IF waypoint.project_id IS NULL AND previous_project_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  PERFORM pg_notify('live_events', json_build_object(
+    'type', 'waypoint',
+    'action', change_action,
+    'id', waypoint.id,
+    'project_id', waypoint.project_id,
+    'previous_project_id', previous_project_id,
+    'version', waypoint.version
+  )::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_notify_live ON waypoints;
+CREATE TRIGGER waypoints_notify_live
+  AFTER INSERT OR UPDATE OR DELETE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION waypoints_notify_live();
+
+-- Broadcast members' positions and their stopping to share them
+CREATE OR REPLACE FUNCTION member_positions_notify_live() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM pg_notify('live_events', json_build_object(
+      'type', 'position',
+      'action', 'remove',
+      'project_id', OLD.project_id,
+      'user_id', OLD.user_id
+    )::text);
+  ELSE
+    PERFORM pg_notify('live_events', json_build_object(
+      'type', 'position',
+      'action', 'update',
+      'project_id', NEW.project_id,
+      'user_id', NEW.user_id,
+      'latitude', NEW.latitude,
+      'longitude', NEW.longitude,
+      'accuracy', NEW.accuracy,
+      'speed', NEW.speed,
+      'heading', NEW.heading,
+      'recorded_at', NEW.recorded_at
+    )::text);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS member_positions_notify_live ON member_positions;
+CREATE TRIGGER member_positions_notify_live
+  AFTER INSERT OR UPDATE OR DELETE ON member_positions
+  FOR EACH ROW EXECUTE FUNCTION member_positions_notify_live();
@@ -0,0 +1,25 @@
+-- Tie waypoints to the user who created them
+ALTER TABLE waypoints ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+-- Create index on owner for per-user listing
+CREATE INDEX IF NOT EXISTS idx_waypoints_user_id ON waypoints(user_id);
+
+-- Migrate existing rows: waypoints created before ownership existed are
+-- assigned to the first registered user. "Default Location" stays global.
+-- Run `npm run assign-waypoints -- <email>` to hand them to someone else.
+UPDATE waypoints
+SET user_id = (SELECT id FROM users ORDER BY id LIMIT 1)
+WHERE user_id IS NULL
+  AND LOWER(name) <> 'default location';
+
+-- Create table for waypoints shared with other users
+CREATE TABLE IF NOT EXISTS waypoint_shares (
+    waypoint_id INTEGER NOT NULL REFERENCES waypoints(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    can_edit BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (waypoint_id, user_id)
+);
+
+-- Create index on shared user for "shared with me" lookups
+CREATE INDEX IF NOT EXISTS idx_waypoint_shares_user_id ON waypoint_shares(user_id);
@@ -0,0 +1,42 @@
+-- Create preferences table: map settings saved for a user, for a project, or
+-- once globally (set by admins), replacing the "Default Location" waypoint.
+-- Every setting is optional; unset ones fall back to the next scope
+-- (project -> user -> global -> built-in defaults, see utils/preferences.js).
+CREATE TABLE IF NOT EXISTS preferences (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('global', 'user', 'project')),
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+    -- Where the map opens, and the position used when GPS is unavailable
+    home_name VARCHAR(255),
+    home_latitude DECIMAL(10, 8),
+    home_longitude DECIMAL(11, 8),
+    default_zoom SMALLINT CHECK (default_zoom BETWEEN 0 AND 22),
+    base_layer VARCHAR(50),
+    units VARCHAR(10) CHECK (units IN ('metric', 'imperial', 'nautical')),
+    coordinate_format VARCHAR(10) CHECK (coordinate_format IN ('dd', 'dms', 'utm', 'mgrs')),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+      (scope = 'global' AND user_id IS NULL AND project_id IS NULL)
+      OR (scope = 'user' AND user_id IS NOT NULL AND project_id IS NULL)
+      OR (scope = 'project' AND project_id IS NOT NULL AND user_id IS NULL)
+    ),
+    CHECK ((home_latitude IS NULL) = (home_longitude IS NULL))
+);
+
+-- One row per user, per project and globally
+CREATE UNIQUE INDEX IF NOT EXISTS idx_preferences_user ON preferences(user_id) WHERE scope = 'user';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_preferences_project ON preferences(project_id) WHERE scope = 'project';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_preferences_global ON preferences(scope) WHERE scope = 'global';
+
+-- Migrate the global "Default Location" waypoint into the global preferences.
+-- The waypoint itself is kept and is now an ordinary waypoint.
+INSERT INTO preferences (scope, home_name, home_latitude, home_longitude)
+SELECT 'global', name, latitude, longitude
+FROM waypoints
+WHERE LOWER(name) = 'default location' AND deleted_at IS NULL
+ORDER BY id
+LIMIT 1
+ON CONFLICT DO NOTHING;
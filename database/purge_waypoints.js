@@ -0,0 +1,29 @@
+import pool from './connection.js';
+import { RETENTION_DAYS, purgeDeletedWaypoints } from '../utils/waypointHistory.js';
+
+// Permanently delete waypoints that were deleted longer ago than the retention
+// window. Their history is kept; files they used are removed by the next
+// `npm run cleanup-media`. Run it periodically, e.g. daily from cron.
+// Usage: npm run purge-waypoints -- [--retention-days=N]
+//   --retention-days=N  purge waypoints deleted more than N days ago (default WAYPOINT_RETENTION_DAYS or 30)
+async function purgeWaypoints() {
+  const args = process.argv.slice(2);
+  const retentionArg = args.find((arg) => arg.startsWith('--retention-days='));
+  const retentionDays = retentionArg ? Number(retentionArg.split('=')[1]) : RETENTION_DAYS;
+
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    console.error('Usage: npm run purge-waypoints -- [--retention-days=N]');
+    process.exit(1);
+  }
+
+  try {
+    const ids = await purgeDeletedWaypoints({ retentionDays });
+    console.log(`✅ Purged ${ids.length} waypoint(s) deleted more than ${retentionDays} day(s) ago`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error purging waypoints:', error.message);
+    process.exit(1);
+  }
+}
+
+purgeWaypoints();
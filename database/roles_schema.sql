@@ -0,0 +1,14 @@
+-- Add a platform role to every user:
+--   admin     manages users and the global preferences
+--   surveyor  collects and edits survey data (the default)
+--   viewer    read-only access to the data shared with them
+-- and let admins deactivate accounts, which can then no longer sign in
+-- (their data is kept)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'surveyor'
+    CHECK (role IN ('admin', 'surveyor', 'viewer')),
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deactivated_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Create index for listing users by role
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
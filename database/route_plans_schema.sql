@@ -0,0 +1,35 @@
+-- Create table for route plans: an ordered visit of waypoints, e.g. a crew's
+-- daily round of stations
+CREATE TABLE IF NOT EXISTS route_plans (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    notes TEXT,
+    -- Project plans are shared with the project's members; others are personal
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    travel_mode VARCHAR(20) NOT NULL DEFAULT 'walk' CHECK (travel_mode IN ('walk', 'boat', 'vehicle')),
+    -- Overrides the travel mode's configured speed
+    speed_kmh DOUBLE PRECISION CHECK (speed_kmh > 0),
+    -- Optional point the route starts from, e.g. a base camp or boat ramp
+    start_latitude DECIMAL(10, 8),
+    start_longitude DECIMAL(11, 8),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((start_latitude IS NULL) = (start_longitude IS NULL))
+);
+
+-- Create indexes for listing a user's and a project's plans
+CREATE INDEX IF NOT EXISTS idx_route_plans_created_by ON route_plans(created_by);
+CREATE INDEX IF NOT EXISTS idx_route_plans_project_id ON route_plans(project_id);
+
+-- Create table for the stops of each plan, in visiting order
+CREATE TABLE IF NOT EXISTS route_plan_stops (
+    plan_id INTEGER NOT NULL REFERENCES route_plans(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    waypoint_id INTEGER NOT NULL REFERENCES waypoints(id) ON DELETE CASCADE,
+    PRIMARY KEY (plan_id, position),
+    UNIQUE (plan_id, waypoint_id)
+);
+
+-- Create index for finding the plans that visit a waypoint
+CREATE INDEX IF NOT EXISTS idx_route_plan_stops_waypoint ON route_plan_stops(waypoint_id);
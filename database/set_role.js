@@ -0,0 +1,37 @@
+import pool from './connection.js';
+import { USER_ROLES } from '../middleware/auth.js';
+
+// Set a user's role, e.g. to make the first admin, who can then manage the
+// other users through /api/admin.
+// Usage: npm run set-role -- user@example.com admin|surveyor|viewer
+
+async function setRole() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !USER_ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${USER_ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE email = $1
+       RETURNING email, role`,
+      [email.toLowerCase(), role]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`✅ ${result.rows[0].email} is now ${result.rows[0].role === 'admin' ? 'an' : 'a'} ${result.rows[0].role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error setting role:', error.message);
+    process.exit(1);
+  }
+}
+
+setRole();
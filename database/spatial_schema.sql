@@ -0,0 +1,5 @@
+-- Spatial index for bounding box and radius queries on plain PostgreSQL
+-- (no PostGIS required). Queries must use the same point(longitude, latitude)
+-- expression for the index to apply.
+CREATE INDEX IF NOT EXISTS idx_waypoints_location
+    ON waypoints USING GIST (point(longitude::float8, latitude::float8));
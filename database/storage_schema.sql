@@ -0,0 +1,27 @@
+-- Create table recording every uploaded file and where it is stored, so files
+-- can be deleted by their provider key instead of guessing it from the URL
+CREATE TABLE IF NOT EXISTS media_files (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    provider VARCHAR(20) NOT NULL,
+    storage_key TEXT NOT NULL,
+    url TEXT NOT NULL,
+    mime_type VARCHAR(255),
+    size_bytes INTEGER,
+    original_filename VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, storage_key)
+);
+
+-- Create index for finding the file behind a waypoint's image_url
+CREATE INDEX IF NOT EXISTS idx_media_files_url ON media_files(url);
+
+-- Attachments reference their stored file; public_id and resource_type
+-- remain for attachments uploaded before media_files existed
+ALTER TABLE waypoint_attachments
+  ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media_files(id) ON DELETE SET NULL;
+
+-- Create indexes for counting the references to a file
+CREATE INDEX IF NOT EXISTS idx_waypoints_image_url ON waypoints(image_url);
+CREATE INDEX IF NOT EXISTS idx_waypoint_attachments_media ON waypoint_attachments(media_id);
+CREATE INDEX IF NOT EXISTS idx_media_files_user ON media_files(user_id, created_at DESC);
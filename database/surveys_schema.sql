@@ -0,0 +1,40 @@
+-- Create table for survey form templates. `fields` is a JSON array of typed
+-- field definitions, see utils/surveyForms.js
+CREATE TABLE IF NOT EXISTS survey_forms (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    -- Project forms are shared with the project's members; others are personal
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    fields JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Definitions of fields removed while observations used the form; a field
+-- added back under the same key must keep its type
+ALTER TABLE survey_forms ADD COLUMN IF NOT EXISTS retired_fields JSONB NOT NULL DEFAULT '[]';
+
+-- Create indexes for listing a user's and a project's forms
+CREATE INDEX IF NOT EXISTS idx_survey_forms_created_by ON survey_forms(created_by);
+CREATE INDEX IF NOT EXISTS idx_survey_forms_project_id ON survey_forms(project_id);
+
+-- Create table for observations: readings recorded at a waypoint with a form
+CREATE TABLE IF NOT EXISTS observations (
+    id SERIAL PRIMARY KEY,
+    waypoint_id INTEGER NOT NULL REFERENCES waypoints(id) ON DELETE CASCADE,
+    -- A form can't be deleted while observations use it
+    form_id INTEGER NOT NULL REFERENCES survey_forms(id) ON DELETE RESTRICT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    data JSONB NOT NULL,
+    observed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for listing observations per waypoint and per form, and for
+-- filtering on their values
+CREATE INDEX IF NOT EXISTS idx_observations_waypoint ON observations(waypoint_id, observed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_observations_form ON observations(form_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_observations_data ON observations USING GIN (data);
@@ -0,0 +1,71 @@
+-- Offline sync support.
+-- Every waypoint write gets a new version, and is stamped with the id of its
+-- transaction and a sequence number. The change feed orders by both and only
+-- returns changes of transactions that have finished, so a client's cursor
+-- never skips a change that was still being committed when it was issued.
+CREATE SEQUENCE IF NOT EXISTS waypoint_change_seq;
+
+ALTER TABLE waypoints
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  -- ID generated by an offline client when it created the waypoint
+  ADD COLUMN IF NOT EXISTS client_id VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS change_txid BIGINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT nextval('waypoint_change_seq');
+
+-- Create index making client ids unique per user, so retried creates are detected
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waypoints_client_id ON waypoints(user_id, client_id) WHERE client_id IS NOT NULL;
+
+-- Create index for reading the change feed in order
+CREATE INDEX IF NOT EXISTS idx_waypoints_change ON waypoints(change_txid, change_seq);
+
+-- Create table remembering deleted waypoints, so the change feed can report deletions
+CREATE TABLE IF NOT EXISTS waypoint_tombstones (
+    waypoint_id INTEGER PRIMARY KEY,
+    client_id VARCHAR(100),
+    -- Who could see the waypoint when it was deleted
+    user_id INTEGER,
+    project_id INTEGER,
+    shared_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+    version INTEGER NOT NULL,
+    change_txid BIGINT NOT NULL,
+    change_seq BIGINT NOT NULL,
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for reading deletions in change feed order
+CREATE INDEX IF NOT EXISTS idx_waypoint_tombstones_change ON waypoint_tombstones(change_txid, change_seq);
+
+CREATE OR REPLACE FUNCTION waypoints_track_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    NEW.version := OLD.version + 1;
+  END IF;
+  NEW.change_txid := txid_current();
+  NEW.change_seq := nextval('waypoint_change_seq');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_track_change ON waypoints;
+CREATE TRIGGER waypoints_track_change
+  BEFORE INSERT OR UPDATE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION waypoints_track_change();
+
+CREATE OR REPLACE FUNCTION waypoints_record_tombstone() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO waypoint_tombstones
+    (waypoint_id, client_id, user_id, project_id, shared_user_ids, version, change_txid, change_seq)
+  VALUES (
+    OLD.id, OLD.client_id, OLD.user_id, OLD.project_id,
+    ARRAY(SELECT user_id FROM waypoint_shares WHERE waypoint_id = OLD.id),
+    OLD.version + 1, txid_current(), nextval('waypoint_change_seq')
+  )
+  ON CONFLICT (waypoint_id) DO NOTHING;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS waypoints_record_tombstone ON waypoints;
+CREATE TRIGGER waypoints_record_tombstone
+  BEFORE DELETE ON waypoints
+  FOR EACH ROW EXECUTE FUNCTION waypoints_record_tombstone();
@@ -0,0 +1,45 @@
+-- Create tracks table for continuously recorded GPS transects
+CREATE TABLE IF NOT EXISTS tracks (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'recording' CHECK (status IN ('recording', 'closed')),
+    current_segment INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP,
+    -- Summary statistics, computed when the track is closed
+    point_count INTEGER,
+    distance_m DOUBLE PRECISION,
+    duration_s DOUBLE PRECISION,
+    elevation_gain_m DOUBLE PRECISION,
+    elevation_loss_m DOUBLE PRECISION,
+    min_latitude DECIMAL(10, 8),
+    min_longitude DECIMAL(11, 8),
+    max_latitude DECIMAL(10, 8),
+    max_longitude DECIMAL(11, 8),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for per-user and per-project listing
+CREATE INDEX IF NOT EXISTS idx_tracks_user_id ON tracks(user_id);
+CREATE INDEX IF NOT EXISTS idx_tracks_project_id ON tracks(project_id);
+
+-- Create table for the recorded points of each track segment
+CREATE TABLE IF NOT EXISTS track_points (
+    id BIGSERIAL PRIMARY KEY,
+    track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+    segment INTEGER NOT NULL DEFAULT 0,
+    recorded_at TIMESTAMP NOT NULL,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    elevation DOUBLE PRECISION,
+    accuracy DOUBLE PRECISION,
+    speed DOUBLE PRECISION,
+    heading DOUBLE PRECISION
+);
+
+-- Create index for reading a track back in order
+CREATE INDEX IF NOT EXISTS idx_track_points_track_order ON track_points(track_id, segment, recorded_at);
@@ -1,16 +1,61 @@
 import jwt from 'jsonwebtoken';
 import pool from '../database/connection.js';
 
-export const authenticateToken = async (req, res, next) => {
+export const USER_ROLES = ['admin', 'surveyor', 'viewer'];
+
+// Higher rank grants everything a lower rank can do
+const ROLE_RANK = { viewer: 1, surveyor: 2, admin: 3 };
+
+export const hasRole = (user, minimumRole) =>
+  Boolean(user?.role) && ROLE_RANK[user.role] >= ROLE_RANK[minimumRole];
+
+// Get the access token from the Authorization header (Bearer TOKEN) or the token cookie
+export const getRequestToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  return token || req.cookies?.token || null;
+};
+
+// Verify an access token and check that its session hasn't been revoked or
+// expired and the account is still active. The user's role is read from the
+// database rather than the token, so role changes apply immediately.
+// Returns { user, sessionId }, or { error } with the reason it was refused.
+export const verifyAccessToken = async (jwtToken) => {
+  let decoded;
   try {
-    // Get token from Authorization header or cookies
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-    
-    // Also check cookies
-    const cookieToken = req.cookies?.token;
+    decoded = jwt.verify(jwtToken, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return { error: 'Invalid or expired token' };
+    }
+    throw error;
+  }
+
+  // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+  if (!decoded.sessionId) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.full_name, u.role, u.email_verified_at, u.created_at
+     FROM users u
+     JOIN sessions s ON s.user_id = u.id
+     WHERE u.id = $1 AND s.id = $2 AND u.deactivated_at IS NULL
+       AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [decoded.userId, decoded.sessionId]
+  );
 
-    const jwtToken = token || cookieToken;
+  if (result.rows.length === 0) {
+    return { error: 'Session expired or revoked' };
+  }
+
+  return { user: result.rows[0], sessionId: decoded.sessionId };
+};
+
+export const authenticateToken = async (req, res, next) => {
+  try {
+    const jwtToken = getRequestToken(req);
 
     if (!jwtToken) {
       return res.status(401).json({ error: 'Access token required' });
@@ -22,27 +67,36 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(500).json({ error: 'Server configuration error' });
     }
     
-    const decoded = jwt.verify(jwtToken, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const result = await pool.query(
-      'SELECT id, email, full_name, created_at FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+    const { user, sessionId, error } = await verifyAccessToken(jwtToken);
+
+    if (error) {
+      return res.status(401).json({ error });
     }
 
-    // Attach user to request
-    req.user = result.rows[0];
+    // Attach user and session to request
+    req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
     console.error('Auth middleware error:', error);
     return res.status(500).json({ error: 'Authentication error' });
   }
 };
 
+// Require at least `minimumRole`. Must run after authenticateToken.
+// e.g. router.use(authenticateToken, requireRole('admin'))
+export const requireRole = (minimumRole) => (req, res, next) => {
+  if (!hasRole(req.user, minimumRole)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+  next();
+};
+
+// Let viewers read but not change anything: requests other than GET, HEAD and
+// OPTIONS need the surveyor role. Must run after authenticateToken.
+export const requireWriteAccess = (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || hasRole(req.user, 'surveyor')) {
+    return next();
+  }
+  res.status(403).json({ error: 'Viewers have read-only access' });
+};
@@ -0,0 +1,135 @@
+import { checkSchema, sendValidationError } from './validate.js';
+import { DATUM_NAMES, convertDatum, fromUTM, fromMGRS, parseDMS } from '../utils/coordinates.js';
+
+// Accept a waypoint position in other notations than WGS84 decimal degrees.
+// The body may carry, instead of decimal latitude/longitude:
+//   latitude/longitude  DMS strings, e.g. "26°30'59.95\"N" and "80 13 53.4 E"
+//   utm                 "44R 423429 2933131" (zone and latitude band) or
+//                       { zone, band | hemisphere, easting, northing }
+//   mgrs                "44R MQ 23429 33131", spaces optional
+// with an optional `datum` (default WGS84) the position is given in.
+// The position is converted to WGS84 decimal latitude/longitude and the
+// notation fields removed, so the usual body validation runs afterwards.
+
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*m?E?\s+(\d+(?:\.\d+)?)\s*m?N?$/i;
+
+const utmSchema = {
+  zone: { type: 'integer', min: 1, max: 60, required: true },
+  band: { type: 'string', pattern: /^[C-HJ-NP-X]$/i, message: 'must be a UTM latitude band letter' },
+  hemisphere: { type: 'string', enum: ['N', 'S', 'n', 's'] },
+  easting: { type: 'number', min: 100000, max: 900000, required: true },
+  northing: { type: 'number', min: 0, max: 10000000, required: true },
+};
+
+// Read `utm` as { zone, hemisphere, easting, northing }, collecting error details
+const readUTM = (utm, details) => {
+  if (typeof utm === 'string') {
+    const match = UTM_PATTERN.exec(utm.trim());
+    if (!match) {
+      details.push({ location: 'body', field: 'utm', message: 'must look like "44R 423429 2933131"' });
+      return null;
+    }
+    utm = { zone: match[1], band: match[2], easting: match[3], northing: match[4] };
+  } else if (!utm || typeof utm !== 'object' || Array.isArray(utm)) {
+    details.push({ location: 'body', field: 'utm', message: 'must be a string or an object' });
+    return null;
+  }
+
+  const result = checkSchema(utm, utmSchema, 'body');
+  for (const detail of result.details) {
+    details.push({ ...detail, field: `utm.${detail.field}` });
+  }
+  if (result.details.length > 0) return null;
+
+  const { zone, band, hemisphere, easting, northing } = result.values;
+  if (!band === !hemisphere) {
+    details.push({ location: 'body', field: 'utm', message: 'give either band or hemisphere' });
+    return null;
+  }
+
+  return {
+    zone,
+    // Bands N and above lie north of the equator
+    hemisphere: hemisphere ? hemisphere.toUpperCase() : (band.toUpperCase() >= 'N' ? 'N' : 'S'),
+    easting,
+    northing,
+  };
+};
+
+export const parseCoordinates = (req, res, next) => {
+  const body = req.body;
+  if (!body || typeof body !== 'object') return next();
+
+  const { utm, mgrs } = body;
+  const details = [];
+  const datum = body.datum === undefined ? 'WGS84' : String(body.datum).toUpperCase();
+
+  if (!DATUM_NAMES.includes(datum)) {
+    details.push({ location: 'body', field: 'datum', message: `must be one of: ${DATUM_NAMES.join(', ')}` });
+  }
+
+  const notations = [utm, mgrs].filter((value) => value !== undefined && value !== null).length;
+  const hasDecimal = body.latitude !== undefined || body.longitude !== undefined;
+  if (notations > 1 || (notations === 1 && hasDecimal)) {
+    details.push({ location: 'body', field: 'latitude', message: 'give only one of latitude/longitude, utm or mgrs' });
+  }
+  if (details.length > 0) {
+    return sendValidationError(res, details);
+  }
+
+  let position = null;
+  if (utm !== undefined && utm !== null) {
+    const grid = readUTM(utm, details);
+    if (grid) {
+      position = fromUTM(grid, { datum });
+    }
+  } else if (mgrs !== undefined && mgrs !== null) {
+    position = fromMGRS(mgrs, { datum });
+    if (!position) {
+      details.push({ location: 'body', field: 'mgrs', message: 'must be an MGRS reference like "44R MQ 23429 33131"' });
+    }
+  } else {
+    // DMS strings; decimal values are left for the schema to check
+    position = {};
+    for (const axis of ['latitude', 'longitude']) {
+      const value = body[axis];
+      if (typeof value !== 'string' || value.trim() === '' || !Number.isNaN(Number(value))) {
+        position[axis] = value;
+        continue;
+      }
+      const parsed = parseDMS(value, axis);
+      if (parsed === null) {
+        details.push({ location: 'body', field: axis, message: 'must be decimal degrees or degrees, minutes and seconds' });
+      }
+      position[axis] = parsed;
+    }
+
+    if (datum !== 'WGS84' && details.length === 0) {
+      const latitude = Number(position.latitude);
+      const longitude = Number(position.longitude);
+      if (!hasDecimal || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        details.push({ location: 'body', field: 'datum', message: 'requires both latitude and longitude' });
+      } else {
+        position = { latitude, longitude };
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    return sendValidationError(res, details);
+  }
+
+  if (datum !== 'WGS84') {
+    position = convertDatum(position.latitude, position.longitude, datum, 'WGS84');
+  }
+
+  delete body.utm;
+  delete body.mgrs;
+  delete body.datum;
+  for (const axis of ['latitude', 'longitude']) {
+    if (position[axis] !== undefined) {
+      body[axis] = position[axis];
+    }
+  }
+  next();
+};
@@ -0,0 +1,23 @@
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+
+// Require the authenticated user to hold at least `minimumRole` in the project
+// named by the `:id` route parameter. Must run after authenticateToken.
+export const requireProjectRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const role = await getProjectRole(req.params.id, req.user.id);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!hasProjectRole(role, minimumRole)) {
+      return res.status(403).json({ error: `This action requires the ${minimumRole} role in the project` });
+    }
+
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    console.error('Project access error:', error);
+    return res.status(500).json({ error: 'Failed to check project access' });
+  }
+};
@@ -0,0 +1,101 @@
+import { getRateLimitStore } from '../services/rateLimitStore.js';
+
+// Limits can be tuned with environment variables, e.g. RATE_LIMIT_AUTH_MAX=50
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+const MINUTE = 60 * 1000;
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+const sendTooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({
+    error: message,
+    retry_after: secondsUntil(resetAt)
+  });
+};
+
+// Fixed-window rate limiter. `key(req)` identifies who is limited; requests
+// for which it returns null are not counted.
+export const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    try {
+      const id = key(req);
+      if (id === null || id === undefined) {
+        return next();
+      }
+
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message);
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the limit store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user?.id ?? req.ip;
+
+// Sign-up, login, token refresh and account email requests, per IP address
+export const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: 15 * MINUTE,
+  max: envNumber('RATE_LIMIT_AUTH_MAX', 30),
+  key: byIp,
+  message: 'Too many authentication attempts, please try again later'
+});
+
+// File uploads and imports, per user (must run after authenticateToken)
+export const uploadLimiter = rateLimit({
+  name: 'upload',
+  windowMs: 60 * MINUTE,
+  max: envNumber('RATE_LIMIT_UPLOAD_MAX', 60),
+  key: byUser,
+  message: 'Too many uploads, please try again later'
+});
+
+// Waypoint creates, updates and deletes, per user (must run after authenticateToken)
+export const waypointWriteLimiter = rateLimit({
+  name: 'waypoint-write',
+  windowMs: MINUTE,
+  max: envNumber('RATE_LIMIT_WAYPOINT_WRITE_MAX', 120),
+  key: byUser,
+  message: 'Too many waypoint changes, please slow down'
+});
+
+// Temporary account lockout after repeated failed logins.
+// Failures are counted per email address across all IPs.
+const LOGIN_MAX_FAILURES = envNumber('LOGIN_MAX_FAILURES', 5);
+const LOGIN_LOCKOUT_MS = envNumber('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE;
+
+const loginKey = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+
+// Middleware rejecting logins to a locked account before the password is checked
+export const loginLockout = async (req, res, next) => {
+  try {
+    const failures = await getRateLimitStore().get(loginKey(req.body.email));
+    if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+      return sendTooManyRequests(res, failures.resetAt, 'Too many failed login attempts. Account temporarily locked.');
+    }
+    next();
+  } catch (error) {
+    console.error('Login lockout error:', error);
+    next();
+  }
+};
+
+export const recordLoginFailure = (email) =>
+  getRateLimitStore().increment(loginKey(email), LOGIN_LOCKOUT_MS);
+
+export const clearLoginFailures = (email) =>
+  getRateLimitStore().reset(loginKey(email));
@@ -0,0 +1,33 @@
+import multer from 'multer';
+
+// Create a multer instance that keeps uploaded files in memory.
+// `accept(file)` decides which files are allowed; rejected files fail with `message`.
+export const createMemoryUpload = ({ accept, message, fileSize = 10 * 1024 * 1024 }) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize, // 10MB limit by default
+  },
+  fileFilter: (req, file, cb) => {
+    if (accept(file)) {
+      cb(null, true);
+    } else {
+      const error = new Error(message);
+      error.isUploadError = true;
+      cb(error, false);
+    }
+  },
+});
+
+// Image uploads (waypoint photos)
+export const imageUpload = createMemoryUpload({
+  accept: (file) => file.mimetype.startsWith('image/'),
+  message: 'Only image files are allowed',
+});
+
+// Waypoint attachments: photos, audio notes, video and PDF documents
+export const attachmentUpload = createMemoryUpload({
+  accept: (file) => ['image/', 'audio/', 'video/'].some((prefix) => file.mimetype.startsWith(prefix)) ||
+    file.mimetype === 'application/pdf',
+  message: 'Only image, audio, video and PDF files are allowed',
+  fileSize: 25 * 1024 * 1024, // 25MB limit
+});
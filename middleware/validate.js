@@ -0,0 +1,171 @@
+// Schema-based request validation.
+//
+// A schema maps field names to rules:
+//   type        'string' | 'number' | 'integer' | 'boolean' | 'email' | 'url' | 'array' | 'object'
+//   required    reject a missing (undefined or empty string) value
+//   nullable    allow an explicit null
+//   min, max    numeric range (number, integer)
+//   minLength, maxLength   string length or array size
+//   enum        list of allowed values
+//   pattern     RegExp a string must match
+//   message     custom message used instead of the generated one
+//
+// Numeric and boolean strings are coerced ("12.5" -> 12.5, "true" -> true) so
+// the same schemas work for JSON bodies, form fields, query strings and route
+// params. Validated values replace the originals on the request.
+//
+// Every failure produces the same 400 response:
+//   { error: 'Validation failed', details: [{ location, field, message }] }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isMissing = (value) => value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const coerce = (value, type) => {
+  if (typeof value !== 'string') return value;
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Check one value against its rules, returning [error message or null, normalized value]
+const checkValue = (value, rules) => {
+  const { type } = rules;
+  const coerced = coerce(value, type);
+
+  switch (type) {
+    case 'number':
+      if (typeof coerced !== 'number' || !Number.isFinite(coerced)) return ['must be a number', value];
+      break;
+    case 'integer':
+      if (!Number.isInteger(coerced)) return ['must be an integer', value];
+      break;
+    case 'boolean':
+      if (typeof coerced !== 'boolean') return ['must be true or false', value];
+      break;
+    case 'email':
+      if (typeof coerced !== 'string' || !EMAIL_PATTERN.test(coerced.trim())) return ['must be a valid email address', value];
+      break;
+    case 'url':
+      if (typeof coerced !== 'string' || !/^https?:\/\/\S+$/i.test(coerced.trim())) return ['must be an http(s) URL', value];
+      break;
+    case 'array':
+      if (!Array.isArray(coerced)) return ['must be an array', value];
+      break;
+    case 'object':
+      if (!coerced || typeof coerced !== 'object' || Array.isArray(coerced)) return ['must be an object', value];
+      break;
+    case 'string':
+    default:
+      if (typeof coerced !== 'string') return ['must be a string', value];
+  }
+
+  if (typeof coerced === 'number') {
+    if (rules.min !== undefined && coerced < rules.min) {
+      return [rules.max !== undefined ? `must be between ${rules.min} and ${rules.max}` : `must be at least ${rules.min}`, value];
+    }
+    if (rules.max !== undefined && coerced > rules.max) {
+      return [rules.min !== undefined ? `must be between ${rules.min} and ${rules.max}` : `must be at most ${rules.max}`, value];
+    }
+  }
+
+  if (typeof coerced === 'string' || Array.isArray(coerced)) {
+    const unit = Array.isArray(coerced) ? 'items' : 'characters';
+    const { length } = coerced;
+    if (rules.minLength !== undefined && length < rules.minLength) {
+      return [`must be at least ${rules.minLength} ${unit} long`, value];
+    }
+    if (rules.maxLength !== undefined && length > rules.maxLength) {
+      return [`must be at most ${rules.maxLength} ${unit} long`, value];
+    }
+  }
+
+  if (rules.pattern && !rules.pattern.test(coerced)) {
+    return ['has an invalid format', value];
+  }
+
+  if (rules.enum && !rules.enum.includes(coerced)) {
+    return [`must be one of: ${rules.enum.join(', ')}`, value];
+  }
+
+  return [null, coerced];
+};
+
+// Validate `source` against `schema`, returning error details and normalized values
+export const checkSchema = (source, schema, location) => {
+  const details = [];
+  const values = {};
+  const input = source || {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = input[field];
+
+    if (value === null && rules.nullable) {
+      values[field] = null;
+      continue;
+    }
+
+    if (isMissing(value)) {
+      if (rules.required) {
+        details.push({ location, field, message: rules.message || 'is required' });
+      }
+      continue;
+    }
+
+    const [message, normalized] = checkValue(value, rules);
+    if (message) {
+      details.push({ location, field, message: rules.message || message });
+    } else {
+      values[field] = normalized;
+    }
+  }
+
+  return { details, values };
+};
+
+// Send the standard validation error response
+export const sendValidationError = (res, details) =>
+  res.status(400).json({ error: 'Validation failed', details });
+
+// Middleware validating any of req.params, req.query and req.body
+// e.g. validate({ params: { id: { type: 'integer', min: 1 } }, body: waypointSchema })
+export const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const result = checkSchema(req[location], schemas[location], location);
+    details.push(...result.details);
+
+    // Replace validated fields with their normalized values, keeping the rest
+    if (req[location]) {
+      Object.assign(req[location], result.values);
+    }
+  }
+
+  if (details.length > 0) {
+    return sendValidationError(res, details);
+  }
+
+  next();
+};
+
+// Common field rules
+export const idParam = { id: { type: 'integer', min: 1, required: true } };
+export const latitudeRule = { type: 'number', min: -90, max: 90 };
+export const longitudeRule = { type: 'number', min: -180, max: 180 };
+
+// Fields of a waypoint as sent by clients
+export const waypointSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  latitude: { ...latitudeRule, required: true },
+  longitude: { ...longitudeRule, required: true },
+  notes: { type: 'string', nullable: true, maxLength: 10000 },
+  image_url: { type: 'url', nullable: true, maxLength: 2048 },
+  project_id: { type: 'integer', min: 1, nullable: true },
+};
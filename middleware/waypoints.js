@@ -0,0 +1,23 @@
+import { getAccessibleWaypoint, canEditWaypoint } from '../utils/waypointAccess.js';
+
+// Load the waypoint named by the `:id` route parameter into req.waypoint,
+// requiring edit rights if `forEdit`. Must run after authenticateToken.
+export const loadWaypoint = (forEdit) => async (req, res, next) => {
+  try {
+    const waypoint = await getAccessibleWaypoint(req.params.id, req.user.id);
+
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+
+    if (forEdit && !canEditWaypoint(waypoint)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this waypoint' });
+    }
+
+    req.waypoint = waypoint;
+    next();
+  } catch (error) {
+    console.error('Error loading waypoint:', error);
+    res.status(500).json({ error: 'Failed to load waypoint' });
+  }
+};
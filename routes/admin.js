@@ -0,0 +1,182 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireRole, USER_ROLES } from '../middleware/auth.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import { encodeCursor, decodeCursor, parseLimit, likePattern } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// All admin routes require an admin
+router.use(authenticateToken, requireRole('admin'));
+
+// Request schemas
+const usersQuerySchema = {
+  q: { type: 'string', maxLength: 200 },
+  role: { type: 'string', enum: USER_ROLES },
+  status: { type: 'string', enum: ['active', 'deactivated'] },
+  limit: { type: 'integer', min: 1, max: 500 },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+const userUpdateSchema = {
+  role: { type: 'string', enum: USER_ROLES },
+  active: { type: 'boolean' },
+};
+
+const USER_COLUMNS = `u.id, u.email, u.full_name, u.role, u.email_verified_at, u.created_at, u.updated_at,
+  u.deactivated_at, u.deactivated_by,
+  (SELECT COUNT(*)::int FROM sessions s
+   WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS active_sessions,
+  (SELECT MAX(s.last_used_at) FROM sessions s WHERE s.user_id = u.id) AS last_seen_at`;
+
+const getUser = async (id, db = pool) => {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// List and search users: ?q= matches email or name, filtered by ?role= and
+// ?status=active|deactivated, oldest account first, paged with ?limit= and ?cursor=
+router.get('/users', validate({ query: usersQuerySchema }), async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const params = [];
+    const conditions = [];
+
+    if (q !== undefined && String(q).trim()) {
+      params.push(likePattern(String(q).trim()));
+      conditions.push(`(u.email ILIKE $${params.length} OR u.full_name ILIKE $${params.length})`);
+    }
+    if (role) {
+      params.push(role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+    if (status) {
+      conditions.push(status === 'active' ? 'u.deactivated_at IS NULL' : 'u.deactivated_at IS NOT NULL');
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Number.isInteger(cursor.id)) {
+        return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+      }
+      params.push(cursor.id);
+      conditions.push(`u.id > $${params.length}`);
+    }
+
+    params.push(limit + 1);
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY u.id
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const data = result.rows.slice(0, limit);
+
+    res.json({
+      data,
+      paging: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor({ id: data[data.length - 1].id }) : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Get a single user by ID, with how much data they own
+router.get('/users/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const counts = await pool.query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM waypoints WHERE user_id = $1 AND deleted_at IS NULL) AS waypoints,
+         (SELECT COUNT(*)::int FROM tracks WHERE user_id = $1) AS tracks,
+         (SELECT COUNT(*)::int FROM project_members WHERE user_id = $1) AS projects`,
+      [user.id]
+    );
+
+    res.json({ ...user, counts: counts.rows[0] });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Change a user's role and/or deactivate or reactivate them ({ role, active }).
+// Deactivating signs the user out everywhere. Admins can't demote or
+// deactivate themselves, so there is always at least one admin left.
+router.patch('/users/:id', validate({ params: idParam, body: userUpdateSchema }), async (req, res) => {
+  const { role, active } = req.body;
+
+  if (role === undefined && active === undefined) {
+    return sendValidationError(res, [{ location: 'body', field: 'body', message: 'must contain role or active' }]);
+  }
+
+  if (req.params.id === req.user.id && (active === false || (role && role !== 'admin'))) {
+    return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users
+       SET role = COALESCE($2, role),
+           deactivated_at = CASE
+             WHEN $3::boolean IS NULL THEN deactivated_at
+             WHEN $3 THEN NULL
+             ELSE COALESCE(deactivated_at, CURRENT_TIMESTAMP)
+           END,
+           deactivated_by = CASE
+             WHEN $3::boolean IS NULL THEN deactivated_by
+             WHEN $3 THEN NULL
+             WHEN deactivated_at IS NULL THEN $4
+             ELSE deactivated_by
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [req.params.id, role ?? null, active ?? null, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (active === false) {
+      await client.query(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+        [req.params.id]
+      );
+    }
+
+    const user = await getUser(req.params.id, client);
+    await client.query('COMMIT');
+    res.json(user);
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  } finally {
+    client?.release();
+  }
+});
+
+export default router;
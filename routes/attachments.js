@@ -0,0 +1,182 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { attachmentUpload } from '../middleware/upload.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import { loadWaypoint } from '../middleware/waypoints.js';
+import { storeAttachmentFile, insertAttachment, withLocationCheck } from '../utils/attachments.js';
+import { releaseAttachmentMedia } from '../utils/media.js';
+
+// Attachments of a single waypoint: /api/waypoints/:id/attachments.
+// Mounted by routes/waypoints.js after authentication.
+const router = express.Router({ mergeParams: true });
+
+const attachmentParams = {
+  ...idParam,
+  attachmentId: { type: 'integer', min: 1, required: true },
+};
+
+const uploadSchema = {
+  caption: { type: 'string', maxLength: 2000 },
+};
+
+const updateSchema = {
+  caption: { type: 'string', nullable: true, maxLength: 2000 },
+  position: { type: 'integer', min: 0 },
+};
+
+const orderSchema = {
+  attachment_ids: { type: 'array', required: true, maxLength: 500 },
+};
+
+// List a waypoint's attachments in order
+router.get('/', validate({ params: idParam }), loadWaypoint(false), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM waypoint_attachments
+       WHERE waypoint_id = $1
+       ORDER BY position ASC, id ASC`,
+      [req.waypoint.id]
+    );
+    res.json(result.rows.map((attachment) => withLocationCheck(attachment, req.waypoint)));
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Upload an attachment (multipart field "file", optional "caption")
+router.post(
+  '/',
+  uploadLimiter,
+  validate({ params: idParam }),
+  loadWaypoint(true),
+  attachmentUpload.single('file'),
+  validate({ body: uploadSchema }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return sendValidationError(res, [{ location: 'body', field: 'file', message: 'is required' }]);
+      }
+
+      const stored = await storeAttachmentFile(req.file, req.user.id);
+      const attachment = await insertAttachment(pool, {
+        waypointId: req.waypoint.id,
+        userId: req.user.id,
+        file: req.file,
+        stored,
+        caption: req.body.caption,
+      });
+
+      res.status(201).json(withLocationCheck(attachment, req.waypoint));
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({ error: 'Failed to upload attachment' });
+    }
+  }
+);
+
+// Reorder attachments: { attachment_ids: [3, 1, 2] } lists every attachment in its new order
+router.put('/order', validate({ params: idParam, body: orderSchema }), loadWaypoint(true), async (req, res) => {
+  const ids = req.body.attachment_ids.map(Number);
+
+  if (!ids.every((id) => Number.isInteger(id) && id > 0) || new Set(ids).size !== ids.length) {
+    return sendValidationError(res, [{ location: 'body', field: 'attachment_ids', message: 'must be a list of distinct attachment ids' }]);
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id FROM waypoint_attachments WHERE waypoint_id = $1 FOR UPDATE',
+      [req.waypoint.id]
+    );
+    const existingIds = new Set(existing.rows.map((row) => row.id));
+
+    if (existingIds.size !== ids.length || !ids.every((id) => existingIds.has(id))) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{ location: 'body', field: 'attachment_ids', message: 'must list every attachment of this waypoint exactly once' }]);
+    }
+
+    await client.query(
+      `UPDATE waypoint_attachments AS a
+       SET position = o.position - 1, updated_at = CURRENT_TIMESTAMP
+       FROM unnest($1::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE a.id = o.id`,
+      [ids]
+    );
+
+    const result = await client.query(
+      `SELECT * FROM waypoint_attachments
+       WHERE waypoint_id = $1
+       ORDER BY position ASC, id ASC`,
+      [req.waypoint.id]
+    );
+
+    await client.query('COMMIT');
+    res.json(result.rows.map((attachment) => withLocationCheck(attachment, req.waypoint)));
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error reordering attachments:', error);
+    res.status(500).json({ error: 'Failed to reorder attachments' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Update an attachment's caption or position
+router.put('/:attachmentId', validate({ params: attachmentParams, body: updateSchema }), loadWaypoint(true), async (req, res) => {
+  try {
+    const { caption, position } = req.body;
+
+    const result = await pool.query(
+      `UPDATE waypoint_attachments
+       SET caption = CASE WHEN $1 THEN $2 ELSE caption END,
+           position = COALESCE($3, position),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND waypoint_id = $5
+       RETURNING *`,
+      [caption !== undefined, caption ?? null, position ?? null, req.params.attachmentId, req.waypoint.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json(withLocationCheck(result.rows[0], req.waypoint));
+  } catch (error) {
+    console.error('Error updating attachment:', error);
+    res.status(500).json({ error: 'Failed to update attachment' });
+  }
+});
+
+// Delete an attachment and its stored file
+router.delete('/:attachmentId', validate({ params: attachmentParams }), loadWaypoint(true), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM waypoint_attachments WHERE id = $1 AND waypoint_id = $2 RETURNING *',
+      [req.params.attachmentId, req.waypoint.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+    try {
+      await releaseAttachmentMedia(attachment);
+    } catch (storageError) {
+      console.error('Error deleting attachment from storage:', storageError);
+      // The attachment is gone from the waypoint either way
+    }
+
+    res.json({ message: 'Attachment deleted successfully', attachment });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+export default router;
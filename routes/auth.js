@@ -1,24 +1,92 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import pool from '../database/connection.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { validate, idParam } from '../middleware/validate.js';
+import {
+  authLimiter,
+  loginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from '../middleware/rateLimit.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  findSessionByRefreshToken,
+  sessionIdFromAccessToken,
+  setAuthCookies,
+  clearAuthCookies,
+} from '../utils/authTokens.js';
+import { createAccountToken, consumeAccountToken } from '../utils/accountTokens.js';
+import { sendMail, frontendLink } from '../services/mailer.js';
 
 const router = express.Router();
 
-// Signup route
-router.post('/signup', async (req, res) => {
-  try {
-    const { email, password, full_name } = req.body;
+// Request schemas
+const signupSchema = {
+  email: { type: 'email', required: true, maxLength: 255 },
+  // bcrypt only uses the first 72 bytes of a password
+  password: { type: 'string', required: true, minLength: 6, maxLength: 72 },
+  full_name: { type: 'string', required: true, maxLength: 255 },
+  device_name: { type: 'string', maxLength: 255 },
+};
 
-    // Validation
-    if (!email || !password || !full_name) {
-      return res.status(400).json({ error: 'Email, password, and full name are required' });
-    }
+const loginSchema = {
+  email: { type: 'email', required: true, maxLength: 255 },
+  password: { type: 'string', required: true, maxLength: 72 },
+  device_name: { type: 'string', maxLength: 255 },
+};
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
+const refreshSchema = {
+  refresh_token: { type: 'string', maxLength: 512 },
+};
+
+const emailSchema = {
+  email: { type: 'email', required: true, maxLength: 255 },
+};
+
+const tokenSchema = {
+  token: { type: 'string', required: true, maxLength: 512 },
+};
+
+const resetPasswordSchema = {
+  token: { type: 'string', required: true, maxLength: 512 },
+  password: { type: 'string', required: true, minLength: 6, maxLength: 72 },
+};
+
+const changePasswordSchema = {
+  current_password: { type: 'string', required: true, maxLength: 72 },
+  new_password: { type: 'string', required: true, minLength: 6, maxLength: 72 },
+};
+
+// Send a link for confirming the user's email address
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user.id, 'verify_email');
+  const link = frontendLink('/verify-email', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.full_name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+  });
+};
+
+// Send a link for choosing a new password
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user.id, 'reset_password');
+  const link = frontendLink('/reset-password', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.full_name},\n\nSomeone asked to reset the password for your account. If it was you, open this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+  });
+};
+
+// Signup route
+router.post('/signup', authLimiter, validate({ body: signupSchema }), async (req, res) => {
+  try {
+    const { password, full_name } = req.body;
+    const email = req.body.email.trim();
 
     // Check if user already exists
     const existingUser = await pool.query(
@@ -36,31 +104,41 @@ router.post('/signup', async (req, res) => {
 
     // Insert user
     const result = await pool.query(
-      'INSERT INTO users (email, password_hash, full_name) VALUES ($1, $2, $3) RETURNING id, email, full_name, created_at',
+      'INSERT INTO users (email, password_hash, full_name) VALUES ($1, $2, $3) RETURNING id, email, full_name, role, email_verified_at, created_at',
       [email.toLowerCase(), passwordHash, full_name]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
+    // Send the verification link; the account is created even if mail fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Start a session with an access token and refresh token
     if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not set in environment variables');
       return res.status(500).json({ error: 'Server configuration error. Please contact administrator.' });
     }
     
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true') {
+      return res.status(201).json({
+        message: 'User created successfully. Please verify your email address before logging in.',
+        user: {
+          id: user.id,
+          email: user.email,
+          full_name: user.full_name,
+          role: user.role,
+          email_verified: false,
+          created_at: user.created_at
+        }
+      });
+    }
+    
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens);
 
     res.status(201).json({
       message: 'User created successfully',
@@ -68,9 +146,12 @@ router.post('/signup', async (req, res) => {
         id: user.id,
         email: user.email,
         full_name: user.full_name,
+        role: user.role,
+        email_verified: false,
         created_at: user.created_at
       },
-      token
+      token: tokens.accessToken,
+      refresh_token: tokens.refreshToken
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -109,22 +190,19 @@ router.post('/signup', async (req, res) => {
 });
 
 // Login route
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, validate({ body: loginSchema }), loginLockout, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+    const { password } = req.body;
+    const email = req.body.email.trim();
 
     // Get user from database
     const result = await pool.query(
-      'SELECT id, email, password_hash, full_name, created_at FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, full_name, role, email_verified_at, deactivated_at, created_at FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(email);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -134,28 +212,28 @@ router.post('/login', async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginFailure(email);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
+    await clearLoginFailures(email);
+
+    if (user.deactivated_at) {
+      return res.status(403).json({ error: 'This account has been deactivated' });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.email_verified_at) {
+      return res.status(403).json({ error: 'Please verify your email address before logging in' });
+    }
+
+    // Start a session with an access token and refresh token
     if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not set in environment variables');
       return res.status(500).json({ error: 'Server configuration error. Please contact administrator.' });
     }
     
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    const tokens = await createSession(user, req);
+    setAuthCookies(res, tokens);
 
     res.json({
       message: 'Login successful',
@@ -163,9 +241,12 @@ router.post('/login', async (req, res) => {
         id: user.id,
         email: user.email,
         full_name: user.full_name,
+        role: user.role,
+        email_verified: Boolean(user.email_verified_at),
         created_at: user.created_at
       },
-      token
+      token: tokens.accessToken,
+      refresh_token: tokens.refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -200,6 +281,8 @@ router.get('/me', authenticateToken, async (req, res) => {
       id: req.user.id,
       email: req.user.email,
       full_name: req.user.full_name,
+      role: req.user.role,
+      email_verified: Boolean(req.user.email_verified_at),
       created_at: req.user.created_at
     });
   } catch (error) {
@@ -208,10 +291,260 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout route
-router.post('/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ message: 'Logout successful' });
+// Request a new email verification link. Always answers the same way so the
+// response doesn't reveal which emails have accounts.
+router.post('/verify-email/request', authLimiter, validate({ body: emailSchema }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, full_name, email_verified_at FROM users WHERE email = $1',
+      [req.body.email.trim().toLowerCase()]
+    );
+
+    const user = result.rows[0];
+    if (user && !user.email_verified_at) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'If the account exists and is unverified, a verification email has been sent' });
+  } catch (error) {
+    console.error('Verification request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address with the token from the verification link
+router.post('/verify-email/confirm', authLimiter, validate({ body: tokenSchema }), async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verify_email');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error('Verification confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the
+// response doesn't reveal which emails have accounts.
+router.post('/password-reset/request', authLimiter, validate({ body: emailSchema }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, full_name FROM users WHERE email = $1',
+      [req.body.email.trim().toLowerCase()]
+    );
+
+    if (result.rows.length > 0) {
+      await sendPasswordResetEmail(result.rows[0]);
+    }
+
+    res.json({ message: 'If the account exists, a password reset email has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with the token from the reset link. Signs out every
+// session, since the old password may have been compromised.
+router.post('/password-reset/confirm', authLimiter, validate({ body: resetPasswordSchema }), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const userId = await consumeAccountToken(req.body.token, 'reset_password', client);
+
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired password reset link' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+    // Receiving the reset email also proves the address is real
+    await client.query(
+      `UPDATE users
+       SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+
+    await client.query(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+    clearAuthCookies(res);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Change the password of the logged-in user. Other sessions are signed out.
+router.post('/change-password', authenticateToken, validate({ body: changePasswordSchema }), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const isValidPassword = await bcrypt.compare(current_password, result.rows[0].password_hash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 10);
+
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, req.user.id]
+    );
+
+    await pool.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND id != $2 AND revoked_at IS NULL`,
+      [req.user.id, req.sessionId]
+    );
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refresh route: exchange a refresh token (body or cookie) for new tokens
+router.post('/refresh', authLimiter, validate({ body: refreshSchema }), async (req, res) => {
+  try {
+    const refreshToken = req.body.refresh_token || req.cookies?.refresh_token;
+
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token required' });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET is not set in environment variables');
+      return res.status(500).json({ error: 'Server configuration error. Please contact administrator.' });
+    }
+
+    const tokens = await rotateSession(refreshToken);
+
+    if (!tokens) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    setAuthCookies(res, tokens);
+    res.json({
+      token: tokens.accessToken,
+      refresh_token: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json(result.rows.map((session) => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke all of the current user's sessions except this one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND id != $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.user.id, req.sessionId]
+    );
+
+    res.json({ message: 'Other sessions revoked', revoked: result.rows.length });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+router.delete('/sessions/:id', authenticateToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (req.params.id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout route: revoke the current session and clear its cookies.
+// Works with an expired access token as long as the refresh token is sent.
+router.post('/logout', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const accessToken = (authHeader && authHeader.split(' ')[1]) || req.cookies?.token;
+    const refreshToken = req.body?.refresh_token || req.cookies?.refresh_token;
+    let sessionId = refreshToken ? await findSessionByRefreshToken(refreshToken) : null;
+    if (!sessionId && accessToken && process.env.JWT_SECRET) {
+      sessionId = sessionIdFromAccessToken(accessToken);
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    clearAuthCookies(res);
+    res.json({ message: 'Logout successful' });
+  }
 });
 
 export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  validate,
+  checkSchema,
+  sendValidationError,
+  latitudeRule,
+  longitudeRule,
+} from '../middleware/validate.js';
+import { getAccessibleTrack } from '../utils/trackAccess.js';
+import { samplePath } from '../utils/geo.js';
+import { getElevation, isElevationConfigured } from '../services/elevation.js';
+
+const router = express.Router();
+
+const DEFAULT_PROFILE_SAMPLES = 100;
+const MAX_PROFILE_SAMPLES = 1000;
+const MAX_LINE_POINTS = 5000;
+
+// All elevation routes require authentication
+router.use(authenticateToken);
+
+// Without a grid there is nothing to sample
+router.use((req, res, next) => {
+  if (!isElevationConfigured()) {
+    return res.status(503).json({ error: 'No elevation grid is configured' });
+  }
+  next();
+});
+
+const pointQuerySchema = {
+  latitude: { ...latitudeRule, required: true },
+  longitude: { ...longitudeRule, required: true },
+};
+
+const profileSchema = {
+  points: { type: 'array', minLength: 2, maxLength: MAX_LINE_POINTS },
+  track_id: { type: 'integer', min: 1 },
+  samples: { type: 'integer', min: 2, max: MAX_PROFILE_SAMPLES },
+};
+
+const linePointSchema = {
+  latitude: { ...latitudeRule, required: true },
+  longitude: { ...longitudeRule, required: true },
+};
+
+// Get the elevation at a point: GET /?latitude=..&longitude=..
+router.get('/', validate({ query: pointQuerySchema }), async (req, res) => {
+  try {
+    const { latitude, longitude } = req.query;
+    res.json({ latitude, longitude, elevation_m: await getElevation(latitude, longitude) });
+  } catch (error) {
+    console.error('Error looking up elevation:', error);
+    res.status(500).json({ error: 'Failed to look up elevation' });
+  }
+});
+
+// Elevation profile along a line ({ points: [{ latitude, longitude }, ...] })
+// or a recorded track ({ track_id }), sampled at `samples` evenly spaced
+// points. Responds with the samples, the path length and the lowest, highest,
+// total ascent and total descent of the sampled elevations.
+router.post('/profile', validate({ body: profileSchema }), async (req, res) => {
+  const { points, track_id } = req.body;
+  const count = req.body.samples || DEFAULT_PROFILE_SAMPLES;
+
+  if (Boolean(points) === Boolean(track_id)) {
+    return sendValidationError(res, [{ location: 'body', field: 'points', message: 'give either points or track_id' }]);
+  }
+
+  try {
+    let vertices;
+    if (points) {
+      const details = [];
+      vertices = points.map((point, index) => {
+        const result = checkSchema(point, linePointSchema, `points[${index}]`);
+        details.push(...result.details);
+        return result.values;
+      });
+      if (details.length > 0) {
+        return sendValidationError(res, details);
+      }
+    } else {
+      const track = await getAccessibleTrack(track_id, req.user.id);
+      if (!track) {
+        return res.status(404).json({ error: 'Track not found' });
+      }
+
+      const result = await pool.query(
+        `SELECT latitude, longitude
+         FROM track_points
+         WHERE track_id = $1
+         ORDER BY segment, recorded_at, id`,
+        [track.id]
+      );
+      if (result.rows.length < 2) {
+        return res.status(400).json({ error: 'Track has fewer than 2 points' });
+      }
+      vertices = result.rows;
+    }
+
+    const samples = [];
+    for (const sample of samplePath(vertices, count)) {
+      samples.push({ ...sample, elevation_m: await getElevation(sample.latitude, sample.longitude) });
+    }
+
+    const elevations = samples.map((sample) => sample.elevation_m).filter((value) => value !== null);
+    let ascent = 0;
+    let descent = 0;
+    for (let i = 1; i < elevations.length; i++) {
+      const change = elevations[i] - elevations[i - 1];
+      if (change > 0) {
+        ascent += change;
+      } else {
+        descent -= change;
+      }
+    }
+
+    res.json({
+      track_id: track_id ?? null,
+      distance_m: samples[samples.length - 1].distance_m,
+      min_elevation_m: elevations.length > 0 ? Math.min(...elevations) : null,
+      max_elevation_m: elevations.length > 0 ? Math.max(...elevations) : null,
+      ascent_m: ascent,
+      descent_m: descent,
+      samples,
+    });
+  } catch (error) {
+    console.error('Error computing elevation profile:', error);
+    res.status(500).json({ error: 'Failed to compute elevation profile' });
+  }
+});
+
+export default router;
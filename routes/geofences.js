@@ -0,0 +1,369 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import {
+  validate,
+  checkSchema,
+  sendValidationError,
+  idParam,
+  latitudeRule,
+  longitudeRule,
+} from '../middleware/validate.js';
+import {
+  GEOFENCE_ACCESS_COLUMN,
+  GEOFENCE_ACCESS_JOIN,
+  GEOFENCE_VISIBLE_CONDITION,
+  getAccessibleGeofence,
+  canEditGeofence,
+} from '../utils/geofenceAccess.js';
+import {
+  GEOFENCE_CATEGORIES,
+  GEOFENCE_SHAPES,
+  MAX_POSITIONS_PER_REPORT,
+  positionSchema,
+  checkGeometry,
+  geofenceContains,
+  recordPositions,
+} from '../utils/geofences.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { encodeCursor, decodeCursor, parseLimit } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// All geofence routes require authentication. Viewers can report their
+// positions but not create, change or delete geofences.
+router.use(authenticateToken);
+
+const geofenceSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', nullable: true, maxLength: 10000 },
+  category: { type: 'string', enum: GEOFENCE_CATEGORIES },
+  project_id: { type: 'integer', min: 1, nullable: true },
+  shape: { type: 'string', required: true, enum: GEOFENCE_SHAPES },
+  active: { type: 'boolean' },
+};
+
+const listQuerySchema = {
+  project_id: { type: 'integer', min: 1 },
+  active: { type: 'boolean' },
+};
+
+const containingQuerySchema = {
+  latitude: { ...latitudeRule, required: true },
+  longitude: { ...longitudeRule, required: true },
+};
+
+const positionsSchema = {
+  positions: { type: 'array', required: true, minLength: 1, maxLength: MAX_POSITIONS_PER_REPORT },
+};
+
+const eventsQuerySchema = {
+  geofence_id: { type: 'integer', min: 1 },
+  user_id: { type: 'integer', min: 1 },
+  project_id: { type: 'integer', min: 1 },
+  event: { type: 'string', enum: ['enter', 'exit'] },
+  since: { type: 'string', maxLength: 50 },
+  until: { type: 'string', maxLength: 50 },
+  limit: { type: 'integer', min: 1, max: 500 },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+// A user can add geofences to a project they can edit
+const checkProjectAccess = async (res, projectId, userId) => {
+  const role = await getProjectRole(projectId, userId);
+  if (!role) {
+    res.status(404).json({ error: 'Project not found' });
+    return false;
+  }
+  if (!hasProjectRole(role, 'editor')) {
+    res.status(403).json({ error: 'You do not have permission to add geofences to this project' });
+    return false;
+  }
+  return true;
+};
+
+// Get all geofences visible to the current user, optionally for one project or
+// only active/inactive ones
+router.get('/', validate({ query: listQuerySchema }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT g.*, ${GEOFENCE_ACCESS_COLUMN}
+       FROM geofences g
+       ${GEOFENCE_ACCESS_JOIN}
+       WHERE ${GEOFENCE_VISIBLE_CONDITION}
+         AND ($2::int IS NULL OR g.project_id = $2)
+         AND ($3::boolean IS NULL OR g.active = $3)
+       ORDER BY g.name ASC, g.id ASC`,
+      [req.user.id, req.query.project_id ?? null, req.query.active ?? null]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching geofences:', error);
+    res.status(500).json({ error: 'Failed to fetch geofences' });
+  }
+});
+
+// Find the active geofences containing a point: GET /containing?latitude=..&longitude=..
+router.get('/containing', validate({ query: containingQuerySchema }), async (req, res) => {
+  try {
+    const { latitude, longitude } = req.query;
+
+    const result = await pool.query(
+      `SELECT g.*, ${GEOFENCE_ACCESS_COLUMN}
+       FROM geofences g
+       ${GEOFENCE_ACCESS_JOIN}
+       WHERE ${GEOFENCE_VISIBLE_CONDITION} AND g.active
+         AND $2 BETWEEN g.min_latitude AND g.max_latitude
+         AND $3 BETWEEN g.min_longitude AND g.max_longitude
+       ORDER BY g.name ASC, g.id ASC`,
+      [req.user.id, latitude, longitude]
+    );
+
+    res.json(result.rows.filter((geofence) => geofenceContains(geofence, latitude, longitude)));
+  } catch (error) {
+    console.error('Error finding geofences containing point:', error);
+    res.status(500).json({ error: 'Failed to find geofences' });
+  }
+});
+
+// Report the current user's positions: { positions: [{ latitude, longitude, recorded_at }] }.
+// Each position is checked against the user's active geofences; responds with
+// the enter/exit events they caused.
+router.post('/positions', validate({ body: positionsSchema }), async (req, res) => {
+  const details = [];
+  const positions = req.body.positions.map((position, index) => {
+    const result = checkSchema(position, positionSchema, `positions[${index}]`);
+    details.push(...result.details);
+    if (result.values.recorded_at !== undefined && Number.isNaN(Date.parse(result.values.recorded_at))) {
+      details.push({ location: `positions[${index}]`, field: 'recorded_at', message: 'must be a date and time' });
+    }
+    return result.values;
+  });
+
+  if (details.length > 0) {
+    return sendValidationError(res, details);
+  }
+
+  try {
+    const events = await recordPositions(req.user.id, positions);
+    res.json({ count: positions.length, events });
+  } catch (error) {
+    console.error('Error evaluating geofence positions:', error);
+    res.status(500).json({ error: 'Failed to evaluate positions' });
+  }
+});
+
+// Query the enter/exit event log, newest first. Users see their own events
+// and, on geofences they can edit, everyone's. Filters: geofence_id, user_id,
+// project_id, event, since/until and limit/cursor.
+// Responds with { data, paging: { limit, has_more, next_cursor } }.
+router.get('/events', validate({ query: eventsQuerySchema }), async (req, res) => {
+  try {
+    const { geofence_id, user_id, project_id, event, since, until } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const params = [req.user.id];
+    const conditions = [
+      GEOFENCE_VISIBLE_CONDITION,
+      "(e.user_id = $1 OR g.created_by = $1 OR gpm.role IN ('owner', 'editor'))",
+    ];
+
+    for (const [column, value] of [['e.geofence_id', geofence_id], ['e.user_id', user_id], ['g.project_id', project_id], ['e.event', event]]) {
+      if (value === undefined) continue;
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+    for (const [field, value, operator] of [['since', since, '>='], ['until', until, '<']]) {
+      if (value === undefined) continue;
+      if (Number.isNaN(Date.parse(value))) {
+        return sendValidationError(res, [{ location: 'query', field, message: 'must be a date and time' }]);
+      }
+      params.push(value);
+      conditions.push(`e.recorded_at ${operator} $${params.length}::timestamp`);
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Number.isInteger(cursor.id)) {
+        return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+      }
+      params.push(cursor.id);
+      conditions.push(`e.id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+    const result = await pool.query(
+      `SELECT e.*, g.name AS geofence_name, g.category, g.project_id,
+              u.email AS user_email, u.full_name AS user_full_name
+       FROM geofence_events e
+       JOIN geofences g ON g.id = e.geofence_id
+       ${GEOFENCE_ACCESS_JOIN}
+       LEFT JOIN users u ON u.id = e.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY e.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const data = result.rows.slice(0, limit);
+
+    res.json({
+      data,
+      paging: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor({ id: Number(data[data.length - 1].id) }) : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching geofence events:', error);
+    res.status(500).json({ error: 'Failed to fetch geofence events' });
+  }
+});
+
+// Get a single geofence by ID
+router.get('/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const geofence = await getAccessibleGeofence(req.params.id, req.user.id);
+
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+
+    res.json(geofence);
+  } catch (error) {
+    console.error('Error fetching geofence:', error);
+    res.status(500).json({ error: 'Failed to fetch geofence' });
+  }
+});
+
+// Create a geofence, optionally shared with a project the user can edit
+router.post('/', requireWriteAccess, validate({ body: geofenceSchema }), async (req, res) => {
+  try {
+    const { name, description, category, project_id, active } = req.body;
+
+    const { details, geometry } = checkGeometry(req.body);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    if (project_id && !(await checkProjectAccess(res, project_id, req.user.id))) {
+      return;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO geofences
+         (name, description, category, project_id, created_by, active, shape, coordinates,
+          center_latitude, center_longitude, radius_m, min_latitude, min_longitude, max_latitude, max_longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [
+        name.trim(),
+        description || null,
+        category || 'other',
+        project_id || null,
+        req.user.id,
+        active ?? true,
+        geometry.shape,
+        geometry.coordinates && JSON.stringify(geometry.coordinates),
+        geometry.center_latitude,
+        geometry.center_longitude,
+        geometry.radius_m,
+        geometry.min_latitude,
+        geometry.min_longitude,
+        geometry.max_latitude,
+        geometry.max_longitude,
+      ]
+    );
+
+    res.status(201).json({ ...result.rows[0], access: 'owner' });
+  } catch (error) {
+    console.error('Error creating geofence:', error);
+    res.status(500).json({ error: 'Failed to create geofence' });
+  }
+});
+
+// Update a geofence's details and shape
+router.put('/:id', requireWriteAccess, validate({ params: idParam, body: geofenceSchema }), async (req, res) => {
+  try {
+    const { name, description, category, active } = req.body;
+
+    const geofence = await getAccessibleGeofence(req.params.id, req.user.id);
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    if (!canEditGeofence(geofence)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this geofence' });
+    }
+
+    const { details, geometry } = checkGeometry(req.body);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    // Moving a geofence to another project is limited to its creator
+    const projectId = req.body.project_id === undefined ? geofence.project_id : req.body.project_id || null;
+    if (String(projectId) !== String(geofence.project_id)) {
+      if (geofence.access !== 'owner') {
+        return res.status(403).json({ error: 'Only the creator can move this geofence to another project' });
+      }
+      if (projectId && !(await checkProjectAccess(res, projectId, req.user.id))) {
+        return;
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE geofences
+       SET name = $1, description = $2, category = $3, project_id = $4, active = $5,
+           shape = $6, coordinates = $7, center_latitude = $8, center_longitude = $9, radius_m = $10,
+           min_latitude = $11, min_longitude = $12, max_latitude = $13, max_longitude = $14,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $15
+       RETURNING *`,
+      [
+        name.trim(),
+        description || null,
+        category || geofence.category,
+        projectId,
+        active ?? geofence.active,
+        geometry.shape,
+        geometry.coordinates && JSON.stringify(geometry.coordinates),
+        geometry.center_latitude,
+        geometry.center_longitude,
+        geometry.radius_m,
+        geometry.min_latitude,
+        geometry.min_longitude,
+        geometry.max_latitude,
+        geometry.max_longitude,
+        geofence.id,
+      ]
+    );
+
+    res.json({ ...result.rows[0], access: geofence.access });
+  } catch (error) {
+    console.error('Error updating geofence:', error);
+    res.status(500).json({ error: 'Failed to update geofence' });
+  }
+});
+
+// Delete a geofence along with its event log
+router.delete('/:id', requireWriteAccess, validate({ params: idParam }), async (req, res) => {
+  try {
+    const geofence = await getAccessibleGeofence(req.params.id, req.user.id);
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    if (!canEditGeofence(geofence)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this geofence' });
+    }
+
+    const result = await pool.query('DELETE FROM geofences WHERE id = $1 RETURNING *', [geofence.id]);
+    res.json({ message: 'Geofence deleted successfully', geofence: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting geofence:', error);
+    res.status(500).json({ error: 'Failed to delete geofence' });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, getRequestToken, verifyAccessToken } from '../middleware/auth.js';
+import { requireProjectRole } from '../middleware/projects.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import { getProjectRole } from '../utils/projectAccess.js';
+import { positionSchema, recordPositions } from '../utils/geofences.js';
+import { getLatestPositions, staleAt, subscribe } from '../services/live.js';
+
+const router = express.Router();
+
+// Keep-alive comment interval, below common proxy idle timeouts
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How often an open stream re-checks its token, session and project membership
+const REVALIDATE_INTERVAL_MS = 60 * 1000;
+
+// All live routes require authentication. Every role, viewers included, may
+// share its own position.
+router.use(authenticateToken);
+
+const livePositionSchema = {
+  ...positionSchema,
+  accuracy: { type: 'number', min: 0, nullable: true },
+  speed: { type: 'number', min: 0, nullable: true },
+  heading: { type: 'number', min: 0, max: 360, nullable: true },
+};
+
+// Stream a project's live events with Server-Sent Events. The first event is
+// a `snapshot` of members' latest positions, followed by `waypoint`,
+// `position`, `position_removed` and `resync` events (see services/live.js).
+// The token is checked again every minute; once it expires, its session is
+// revoked or the user leaves the project, an `unauthorized` event is sent and
+// the stream ends, so the client should reconnect with a fresh token.
+router.get('/projects/:id/stream', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  const projectId = req.params.id;
+  const token = getRequestToken(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let subscription = null;
+  let heartbeat = null;
+  let revalidate = null;
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(revalidate);
+    subscription?.unsubscribe();
+    res.end();
+  };
+
+  req.on('close', close);
+
+  try {
+    subscription = await subscribe(projectId, send);
+    // The client went away while subscribing
+    if (closed) {
+      subscription.unsubscribe();
+      return;
+    }
+    send('snapshot', { project_id: projectId, positions: subscription.positions });
+  } catch (error) {
+    console.error('Error opening live stream:', error);
+    send('error', { error: 'Failed to open live stream' });
+    return close();
+  }
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  revalidate = setInterval(async () => {
+    try {
+      const { user, error } = await verifyAccessToken(token);
+      const role = user && (await getProjectRole(projectId, user.id));
+      if (error || !role) {
+        send('unauthorized', { error: error || 'You are no longer a member of this project' });
+        close();
+      }
+    } catch (error) {
+      console.error('Error revalidating live stream:', error);
+    }
+  }, REVALIDATE_INTERVAL_MS);
+});
+
+// Get members' latest positions in a project, leaving out stale ones
+router.get('/projects/:id/positions', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    res.json(await getLatestPositions(req.params.id));
+  } catch (error) {
+    console.error('Error fetching member positions:', error);
+    res.status(500).json({ error: 'Failed to fetch member positions' });
+  }
+});
+
+// Share the current user's position with a project:
+// { latitude, longitude, accuracy, speed, heading, recorded_at }.
+// A position older than the one already shared is ignored. The position is
+// also checked against the user's geofences; responds with the position and
+// any enter/exit events it caused.
+router.post('/projects/:id/positions', validate({ params: idParam, body: livePositionSchema }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { latitude, longitude, accuracy, speed, heading } = req.body;
+    const recordedAt = req.body.recorded_at ?? new Date().toISOString();
+
+    if (Number.isNaN(Date.parse(recordedAt))) {
+      return sendValidationError(res, [{ location: 'body', field: 'recorded_at', message: 'must be a date and time' }]);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO member_positions
+         (project_id, user_id, latitude, longitude, accuracy, speed, heading, recorded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (project_id, user_id) DO UPDATE
+       SET latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, accuracy = EXCLUDED.accuracy,
+           speed = EXCLUDED.speed, heading = EXCLUDED.heading, recorded_at = EXCLUDED.recorded_at,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE member_positions.recorded_at <= EXCLUDED.recorded_at
+       RETURNING *`,
+      [req.params.id, req.user.id, latitude, longitude, accuracy ?? null, speed ?? null, heading ?? null, recordedAt]
+    );
+
+    const events = await recordPositions(req.user.id, [{ latitude, longitude, recorded_at: recordedAt }]);
+
+    const position = result.rows[0] || null;
+    res.json({
+      position: position && { ...position, stale_at: staleAt(position.recorded_at) },
+      ignored: !position,
+      geofence_events: events,
+    });
+  } catch (error) {
+    console.error('Error sharing position:', error);
+    res.status(500).json({ error: 'Failed to share position' });
+  }
+});
+
+// Stop sharing the current user's position with a project
+router.delete('/projects/:id/positions', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM member_positions WHERE project_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    res.json({ message: 'Position sharing stopped' });
+  } catch (error) {
+    console.error('Error removing position:', error);
+    res.status(500).json({ error: 'Failed to stop sharing position' });
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import { waypointWriteLimiter } from '../middleware/rateLimit.js';
+import { loadWaypoint } from '../middleware/waypoints.js';
+import { getAccessibleForm } from '../utils/formAccess.js';
+import { checkObservationData } from '../utils/surveyForms.js';
+
+// Survey observations recorded at a single waypoint: /api/waypoints/:id/observations.
+// Mounted by routes/waypoints.js after authentication.
+const router = express.Router({ mergeParams: true });
+
+const observationParams = {
+  ...idParam,
+  observationId: { type: 'integer', min: 1, required: true },
+};
+
+const listQuerySchema = {
+  form_id: { type: 'integer', min: 1 },
+};
+
+const createSchema = {
+  form_id: { type: 'integer', min: 1, required: true },
+  data: { type: 'object', required: true },
+  observed_at: { type: 'string', maxLength: 50 },
+};
+
+const updateSchema = {
+  data: { type: 'object', required: true },
+  observed_at: { type: 'string', maxLength: 50 },
+};
+
+const invalidObservedAt = (value) => value !== undefined && Number.isNaN(Date.parse(value));
+
+// List a waypoint's observations, newest first, optionally for one form
+router.get('/', validate({ params: idParam, query: listQuerySchema }), loadWaypoint(false), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT o.*, f.name AS form_name
+       FROM observations o
+       JOIN survey_forms f ON f.id = o.form_id
+       WHERE o.waypoint_id = $1 AND ($2::int IS NULL OR o.form_id = $2)
+       ORDER BY o.observed_at DESC, o.id DESC`,
+      [req.waypoint.id, req.query.form_id ?? null]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching observations:', error);
+    res.status(500).json({ error: 'Failed to fetch observations' });
+  }
+});
+
+// Record an observation: { form_id, data: { <field key>: value, ... }, observed_at }
+router.post('/', waypointWriteLimiter, validate({ params: idParam, body: createSchema }), loadWaypoint(true), async (req, res) => {
+  try {
+    const { form_id, observed_at } = req.body;
+
+    if (invalidObservedAt(observed_at)) {
+      return sendValidationError(res, [{ location: 'body', field: 'observed_at', message: 'must be a date and time' }]);
+    }
+
+    const form = await getAccessibleForm(form_id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Survey form not found' });
+    }
+
+    const { details, values } = checkObservationData(form, req.body.data);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO observations (waypoint_id, form_id, user_id, data, observed_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [req.waypoint.id, form.id, req.user.id, values, observed_at ?? null]
+    );
+
+    res.status(201).json({ ...result.rows[0], form_name: form.name });
+  } catch (error) {
+    console.error('Error creating observation:', error);
+    res.status(500).json({ error: 'Failed to create observation' });
+  }
+});
+
+// Replace an observation's data, validated against its form
+router.put('/:observationId', waypointWriteLimiter, validate({ params: observationParams, body: updateSchema }), loadWaypoint(true), async (req, res) => {
+  try {
+    const { observed_at } = req.body;
+
+    if (invalidObservedAt(observed_at)) {
+      return sendValidationError(res, [{ location: 'body', field: 'observed_at', message: 'must be a date and time' }]);
+    }
+
+    const existing = await pool.query(
+      `SELECT o.id, f.name AS form_name, f.fields
+       FROM observations o
+       JOIN survey_forms f ON f.id = o.form_id
+       WHERE o.id = $1 AND o.waypoint_id = $2`,
+      [req.params.observationId, req.waypoint.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    const observation = existing.rows[0];
+    const { details, values } = checkObservationData(observation, req.body.data);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    const result = await pool.query(
+      `UPDATE observations
+       SET data = $1, observed_at = COALESCE($2::timestamp, observed_at), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [values, observed_at ?? null, observation.id]
+    );
+
+    res.json({ ...result.rows[0], form_name: observation.form_name });
+  } catch (error) {
+    console.error('Error updating observation:', error);
+    res.status(500).json({ error: 'Failed to update observation' });
+  }
+});
+
+// Delete an observation
+router.delete('/:observationId', waypointWriteLimiter, validate({ params: observationParams }), loadWaypoint(true), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM observations WHERE id = $1 AND waypoint_id = $2 RETURNING *',
+      [req.params.observationId, req.waypoint.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    res.json({ message: 'Observation deleted successfully', observation: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting observation:', error);
+    res.status(500).json({ error: 'Failed to delete observation' });
+  }
+});
+
+export default router;
@@ -0,0 +1,176 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireRole, requireWriteAccess } from '../middleware/auth.js';
+import { requireProjectRole } from '../middleware/projects.js';
+import {
+  validate,
+  sendValidationError,
+  idParam,
+  latitudeRule,
+  longitudeRule,
+} from '../middleware/validate.js';
+import { getProjectRole } from '../utils/projectAccess.js';
+import {
+  UNITS,
+  COORDINATE_DISPLAY_FORMATS,
+  PREFERENCE_FIELDS,
+  getStoredPreferences,
+  getEffectivePreferences,
+} from '../utils/preferences.js';
+
+const router = express.Router();
+
+// All preference routes require authentication
+router.use(authenticateToken);
+
+// Request schemas
+const effectiveQuerySchema = {
+  project_id: { type: 'integer', min: 1 },
+};
+
+// Every setting may be null, which leaves it to the next scope
+const preferenceSchema = {
+  home_name: { type: 'string', nullable: true, maxLength: 255 },
+  home_latitude: { ...latitudeRule, nullable: true },
+  home_longitude: { ...longitudeRule, nullable: true },
+  default_zoom: { type: 'integer', min: 0, max: 22, nullable: true },
+  base_layer: { type: 'string', nullable: true, maxLength: 50, pattern: /^[a-z0-9_-]+$/i, message: 'must be a layer name (letters, digits, - and _)' },
+  units: { type: 'string', nullable: true, enum: UNITS },
+  coordinate_format: { type: 'string', nullable: true, enum: COORDINATE_DISPLAY_FORMATS },
+};
+
+// Column of each scope's unique index, and its value for a request
+const SCOPES = {
+  global: { column: 'scope', id: () => 'global' },
+  user: { column: 'user_id', id: (req) => req.user.id },
+  project: { column: 'project_id', id: (req) => req.params.id },
+};
+
+// The stored settings of a scope, all null when nothing is saved
+const describeStored = (row) => ({
+  ...Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, row?.[field] ?? null])),
+  updated_by: row?.updated_by ?? null,
+  updated_at: row?.updated_at ?? null,
+});
+
+// Replace the settings of a scope; settings missing from the body are cleared
+const savePreferences = (scope) => async (req, res) => {
+  const values = Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, req.body[field] ?? null]));
+
+  if ((values.home_latitude === null) !== (values.home_longitude === null)) {
+    return sendValidationError(res, [{ location: 'body', field: 'home_latitude', message: 'home_latitude and home_longitude go together' }]);
+  }
+  if (values.home_name !== null && values.home_latitude === null) {
+    return sendValidationError(res, [{ location: 'body', field: 'home_name', message: 'requires home_latitude and home_longitude' }]);
+  }
+
+  try {
+    const { column } = SCOPES[scope];
+    const params = [
+      scope,
+      scope === 'user' ? req.user.id : null,
+      scope === 'project' ? req.params.id : null,
+      ...PREFERENCE_FIELDS.map((field) => values[field]),
+      req.user.id,
+    ];
+    const placeholders = PREFERENCE_FIELDS.map((_, index) => `$${index + 4}`);
+
+    const result = await pool.query(
+      `INSERT INTO preferences (scope, user_id, project_id, ${PREFERENCE_FIELDS.join(', ')}, updated_by)
+       VALUES ($1, $2, $3, ${placeholders.join(', ')}, $${params.length})
+       ON CONFLICT (${column}) WHERE scope = '${scope}' DO UPDATE
+       SET ${PREFERENCE_FIELDS.map((field) => `${field} = EXCLUDED.${field}`).join(', ')},
+           updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      params
+    );
+
+    res.json(describeStored(result.rows[0]));
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({ error: 'Failed to save preferences' });
+  }
+};
+
+// Clear the settings of a scope, so they fall back to the next one
+const deletePreferences = (scope) => async (req, res) => {
+  try {
+    const { column, id } = SCOPES[scope];
+    await pool.query(
+      `DELETE FROM preferences WHERE scope = $1 AND ${column} = $2`,
+      [scope, id(req)]
+    );
+    res.json({ message: 'Preferences reset' });
+  } catch (error) {
+    console.error('Error resetting preferences:', error);
+    res.status(500).json({ error: 'Failed to reset preferences' });
+  }
+};
+
+// Get the preferences that apply to the current user, within ?project_id= if
+// given, with the scope each setting came from:
+//   { home_name, home_latitude, ..., sources: { home_name: 'project' | 'user' | 'global' | 'default', ... } }
+router.get('/', validate({ query: effectiveQuerySchema }), async (req, res) => {
+  try {
+    const { project_id } = req.query;
+
+    if (project_id && !(await getProjectRole(project_id, req.user.id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(await getEffectivePreferences(req.user.id, project_id));
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+// The current user's own settings
+router.get('/me', async (req, res) => {
+  try {
+    res.json(describeStored(await getStoredPreferences('user', req.user.id)));
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+router.put('/me', validate({ body: preferenceSchema }), savePreferences('user'));
+
+router.delete('/me', deletePreferences('user'));
+
+// A project's settings, which apply to all of its members within the project
+router.get('/projects/:id', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    res.json(describeStored(await getStoredPreferences('project', req.params.id)));
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+router.put(
+  '/projects/:id',
+  requireWriteAccess,
+  validate({ params: idParam, body: preferenceSchema }),
+  requireProjectRole('owner'),
+  savePreferences('project')
+);
+
+router.delete('/projects/:id', requireWriteAccess, validate({ params: idParam }), requireProjectRole('owner'), deletePreferences('project'));
+
+// The global settings every user falls back to, managed by admins
+router.get('/global', async (req, res) => {
+  try {
+    res.json(describeStored(await getStoredPreferences('global')));
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+router.put('/global', requireRole('admin'), validate({ body: preferenceSchema }), savePreferences('global'));
+
+router.delete('/global', requireRole('admin'), deletePreferences('global'));
+
+export default router;
@@ -0,0 +1,269 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import { requireProjectRole } from '../middleware/projects.js';
+import { validate, idParam } from '../middleware/validate.js';
+import { PROJECT_ROLES } from '../utils/projectAccess.js';
+
+const router = express.Router();
+
+// All project routes require authentication; viewers can only read
+router.use(authenticateToken);
+router.use(requireWriteAccess);
+
+// Request schemas
+const memberParams = {
+  ...idParam,
+  userId: { type: 'integer', min: 1, required: true },
+};
+
+// Get all projects the current user is a member of
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, pm.role,
+              (SELECT COUNT(*)::int FROM project_members WHERE project_id = p.id) AS member_count,
+              (SELECT COUNT(*)::int FROM waypoints WHERE project_id = p.id AND deleted_at IS NULL) AS waypoint_count,
+              (SELECT COUNT(*)::int FROM tracks WHERE project_id = p.id) AS track_count
+       FROM projects p
+       JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+       ORDER BY p.created_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Get a single project by ID
+router.get('/:id', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM projects WHERE id = $1',
+      [req.params.id]
+    );
+    res.json({ ...result.rows[0], role: req.projectRole });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+});
+
+// Create a new project; the creator becomes its owner
+router.post('/', async (req, res) => {
+  const { name, description } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO projects (name, description, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name.trim(), description || null, req.user.id]
+    );
+    const project = result.rows[0];
+
+    await client.query(
+      `INSERT INTO project_members (project_id, user_id, role)
+       VALUES ($1, $2, 'owner')`,
+      [project.id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json({ ...project, role: 'owner' });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Update a project (owner only)
+router.put('/:id', validate({ params: idParam }), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET name = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [name.trim(), description || null, req.params.id]
+    );
+
+    res.json({ ...result.rows[0], role: req.projectRole });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Delete a project (owner only). Its waypoints and tracks stay with their owners.
+router.delete('/:id', validate({ params: idParam }), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM projects WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+
+    res.json({ message: 'Project deleted successfully', project: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// List project members
+router.get('/:id/members', validate({ params: idParam }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.email, u.full_name, pm.role, pm.created_at
+       FROM project_members pm
+       JOIN users u ON u.id = pm.user_id
+       WHERE pm.project_id = $1
+       ORDER BY pm.created_at ASC`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching project members:', error);
+    res.status(500).json({ error: 'Failed to fetch project members' });
+  }
+});
+
+// Add a member to a project, or change the role of an existing one (owner only)
+router.post('/:id/members', validate({ params: idParam }), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, email, full_name FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const member = userResult.rows[0];
+
+    if (member.id === req.user.id && role !== 'owner' && await isLastOwner(req.params.id, member.id)) {
+      return res.status(400).json({ error: 'A project must have at least one owner' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO project_members (project_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role
+       RETURNING role, created_at`,
+      [req.params.id, member.id, role]
+    );
+
+    res.status(201).json({
+      user_id: member.id,
+      email: member.email,
+      full_name: member.full_name,
+      ...result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error adding project member:', error);
+    res.status(500).json({ error: 'Failed to add project member' });
+  }
+});
+
+// Change a member's role (owner only)
+router.put('/:id/members/:userId', validate({ params: memberParams }), requireProjectRole('owner'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    }
+
+    if (role !== 'owner' && await isLastOwner(id, userId)) {
+      return res.status(400).json({ error: 'A project must have at least one owner' });
+    }
+
+    const result = await pool.query(
+      `UPDATE project_members SET role = $1
+       WHERE project_id = $2 AND user_id = $3
+       RETURNING user_id, role, created_at`,
+      [role, id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating project member:', error);
+    res.status(500).json({ error: 'Failed to update project member' });
+  }
+});
+
+// Remove a member from a project (owner only, or a member leaving)
+router.delete('/:id/members/:userId', validate({ params: memberParams }), requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (req.projectRole !== 'owner' && String(req.user.id) !== String(userId)) {
+      return res.status(403).json({ error: 'Only project owners can remove other members' });
+    }
+
+    if (await isLastOwner(id, userId)) {
+      return res.status(400).json({ error: 'A project must have at least one owner' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 RETURNING user_id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing project member:', error);
+    res.status(500).json({ error: 'Failed to remove project member' });
+  }
+});
+
+// Check whether the user is the only remaining owner of the project
+async function isLastOwner(projectId, userId) {
+  const result = await pool.query(
+    `SELECT user_id FROM project_members
+     WHERE project_id = $1 AND role = 'owner'`,
+    [projectId]
+  );
+
+  return result.rows.length === 1 && String(result.rows[0].user_id) === String(userId);
+}
+
+export default router;
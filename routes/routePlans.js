@@ -0,0 +1,338 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import { validate, sendValidationError, idParam, latitudeRule, longitudeRule } from '../middleware/validate.js';
+import {
+  ROUTE_PLAN_ACCESS_COLUMN,
+  ROUTE_PLAN_ACCESS_JOIN,
+  ROUTE_PLAN_VISIBLE_CONDITION,
+  getAccessibleRoutePlan,
+  canEditRoutePlan,
+} from '../utils/routePlanAccess.js';
+import { ACCESS_JOIN, VISIBLE_CONDITION } from '../utils/waypointAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { TRAVEL_MODES, MAX_PLAN_STOPS, computeRoute, optimizeStopOrder } from '../utils/routePlans.js';
+import { toGPXRoute } from '../utils/geoFormats.js';
+
+const router = express.Router();
+
+// All route plan routes require authentication; viewers can only read
+router.use(authenticateToken);
+router.use(requireWriteAccess);
+
+const planSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  notes: { type: 'string', nullable: true, maxLength: 10000 },
+  project_id: { type: 'integer', min: 1, nullable: true },
+  travel_mode: { type: 'string', enum: Object.keys(TRAVEL_MODES) },
+  speed_kmh: { type: 'number', min: 0.1, max: 1000, nullable: true },
+  start_latitude: { ...latitudeRule, nullable: true },
+  start_longitude: { ...longitudeRule, nullable: true },
+  waypoint_ids: { type: 'array', required: true, maxLength: MAX_PLAN_STOPS },
+  optimize: { type: 'boolean' },
+};
+
+const listQuerySchema = {
+  project_id: { type: 'integer', min: 1 },
+};
+
+// A user can add plans to a project they can edit
+const checkProjectAccess = async (res, projectId, userId) => {
+  const role = await getProjectRole(projectId, userId);
+  if (!role) {
+    res.status(404).json({ error: 'Project not found' });
+    return false;
+  }
+  if (!hasProjectRole(role, 'editor')) {
+    res.status(403).json({ error: 'You do not have permission to add plans to this project' });
+    return false;
+  }
+  return true;
+};
+
+const startPoint = (plan) => (plan.start_latitude === null || plan.start_latitude === undefined
+  ? null
+  : { waypoint_id: null, name: 'Start', latitude: plan.start_latitude, longitude: plan.start_longitude });
+
+// Check the start point and stops of a plan in a request body. Every stop must
+// be a waypoint the user can see. Returns { details, start, stops } with stops
+// in the requested (or, with `optimize`, optimized) order.
+const checkPlanBody = async (body, userId) => {
+  const { waypoint_ids, optimize } = body;
+  const details = [];
+
+  const hasStartLatitude = body.start_latitude !== undefined && body.start_latitude !== null;
+  const hasStartLongitude = body.start_longitude !== undefined && body.start_longitude !== null;
+  if (hasStartLatitude !== hasStartLongitude) {
+    details.push({ location: 'body', field: 'start_latitude', message: 'must be given together with start_longitude' });
+  }
+  if (!waypoint_ids.every((id) => Number.isInteger(id) && id > 0)) {
+    details.push({ location: 'body', field: 'waypoint_ids', message: 'must be waypoint IDs' });
+  } else if (new Set(waypoint_ids).size !== waypoint_ids.length) {
+    details.push({ location: 'body', field: 'waypoint_ids', message: 'must not repeat a waypoint' });
+  }
+  if (details.length > 0) {
+    return { details };
+  }
+
+  const result = await pool.query(
+    `SELECT w.id AS waypoint_id, w.name, w.notes, w.latitude, w.longitude
+     FROM waypoints w
+     ${ACCESS_JOIN}
+     WHERE w.id = ANY($2::int[]) AND ${VISIBLE_CONDITION}`,
+    [userId, waypoint_ids]
+  );
+
+  const found = new Map(result.rows.map((stop) => [stop.waypoint_id, stop]));
+  const missing = waypoint_ids.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    return { details: [{ location: 'body', field: 'waypoint_ids', message: `waypoints not found: ${missing.join(', ')}` }] };
+  }
+
+  const start = startPoint({ start_latitude: body.start_latitude ?? null, start_longitude: body.start_longitude ?? null });
+  const stops = waypoint_ids.map((id) => found.get(id));
+
+  return { details, start, stops: optimize ? optimizeStopOrder(start, stops) : stops };
+};
+
+// Replace a plan's stops with `stops`, in order
+const saveStops = async (client, planId, stops) => {
+  await client.query('DELETE FROM route_plan_stops WHERE plan_id = $1', [planId]);
+
+  if (stops.length > 0) {
+    await client.query(
+      `INSERT INTO route_plan_stops (plan_id, position, waypoint_id)
+       SELECT $1, ordinal - 1, waypoint_id
+       FROM unnest($2::int[]) WITH ORDINALITY AS stop(waypoint_id, ordinal)`,
+      [planId, stops.map((stop) => stop.waypoint_id)]
+    );
+  }
+};
+
+// A plan with its stops, legs and totals as seen by the user. Stops the user
+// can't see (or that were deleted) are left out of the route and listed in
+// `unavailable_waypoint_ids`.
+const describePlan = async (plan, userId) => {
+  const result = await pool.query(
+    `SELECT s.position, s.waypoint_id, w.name, w.notes, w.latitude, w.longitude,
+            ${VISIBLE_CONDITION} AS available
+     FROM route_plan_stops s
+     JOIN waypoints w ON w.id = s.waypoint_id
+     ${ACCESS_JOIN}
+     WHERE s.plan_id = $2
+     ORDER BY s.position`,
+    [userId, plan.id]
+  );
+
+  const stops = result.rows.filter((stop) => stop.available).map(({ available, ...stop }) => stop);
+  const start = startPoint(plan);
+  const speed = plan.speed_kmh || TRAVEL_MODES[plan.travel_mode];
+
+  return {
+    ...plan,
+    travel_speed_kmh: speed,
+    stops,
+    unavailable_waypoint_ids: result.rows.filter((stop) => !stop.available).map((stop) => stop.waypoint_id),
+    ...computeRoute(start ? [start, ...stops] : stops, speed),
+  };
+};
+
+// Get all plans visible to the current user, optionally for one project
+router.get('/', validate({ query: listQuerySchema }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT rp.*, ${ROUTE_PLAN_ACCESS_COLUMN},
+              (SELECT COUNT(*)::int FROM route_plan_stops WHERE plan_id = rp.id) AS stop_count
+       FROM route_plans rp
+       ${ROUTE_PLAN_ACCESS_JOIN}
+       WHERE ${ROUTE_PLAN_VISIBLE_CONDITION} AND ($2::int IS NULL OR rp.project_id = $2)
+       ORDER BY rp.updated_at DESC, rp.id DESC`,
+      [req.user.id, req.query.project_id ?? null]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching route plans:', error);
+    res.status(500).json({ error: 'Failed to fetch route plans' });
+  }
+});
+
+// Get a plan with its stops in order, the distance, bearing and travel time of
+// each leg, the total distance and the estimated duration
+router.get('/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const plan = await getAccessibleRoutePlan(req.params.id, req.user.id);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Route plan not found' });
+    }
+
+    res.json(await describePlan(plan, req.user.id));
+  } catch (error) {
+    console.error('Error fetching route plan:', error);
+    res.status(500).json({ error: 'Failed to fetch route plan' });
+  }
+});
+
+// Export a plan as a GPX route
+router.get('/:id/gpx', validate({ params: idParam }), async (req, res) => {
+  try {
+    const plan = await getAccessibleRoutePlan(req.params.id, req.user.id);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Route plan not found' });
+    }
+
+    const { stops } = await describePlan(plan, req.user.id);
+    const start = startPoint(plan);
+
+    res.setHeader('Content-Type', 'application/gpx+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="route-plan-${plan.id}.gpx"`);
+    res.send(toGPXRoute(plan, start ? [start, ...stops] : stops));
+  } catch (error) {
+    console.error('Error exporting route plan:', error);
+    res.status(500).json({ error: 'Failed to export route plan' });
+  }
+});
+
+// Create a plan: { name, waypoint_ids, travel_mode, speed_kmh, start_latitude,
+// start_longitude, project_id, optimize }. With optimize, the stops are
+// reordered to shorten the route from the start point.
+router.post('/', validate({ body: planSchema }), async (req, res) => {
+  const { name, notes, project_id, travel_mode, speed_kmh } = req.body;
+
+  let client;
+  try {
+    // Checks run on the pool, before a client is held for the transaction
+    const { details, start, stops } = await checkPlanBody(req.body, req.user.id);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    if (project_id && !(await checkProjectAccess(res, project_id, req.user.id))) {
+      return;
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO route_plans
+         (name, notes, project_id, created_by, travel_mode, speed_kmh, start_latitude, start_longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        name.trim(),
+        notes || null,
+        project_id || null,
+        req.user.id,
+        travel_mode || 'walk',
+        speed_kmh || null,
+        start?.latitude ?? null,
+        start?.longitude ?? null,
+      ]
+    );
+    await saveStops(client, result.rows[0].id, stops);
+
+    await client.query('COMMIT');
+    // describePlan queries the pool, so give the client back first
+    client.release();
+    client = null;
+
+    res.status(201).json(await describePlan({ ...result.rows[0], access: 'owner' }, req.user.id));
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error creating route plan:', error);
+    res.status(500).json({ error: 'Failed to create route plan' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Update a plan, replacing its stops
+router.put('/:id', validate({ params: idParam, body: planSchema }), async (req, res) => {
+  const { name, notes, travel_mode, speed_kmh } = req.body;
+
+  let client;
+  try {
+    // Checks run on the pool, before a client is held for the transaction
+    const plan = await getAccessibleRoutePlan(req.params.id, req.user.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Route plan not found' });
+    }
+    if (!canEditRoutePlan(plan)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this route plan' });
+    }
+
+    const { details, start, stops } = await checkPlanBody(req.body, req.user.id);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    // Moving a plan to another project is limited to its creator
+    const projectId = req.body.project_id === undefined ? plan.project_id : req.body.project_id || null;
+    if (String(projectId) !== String(plan.project_id)) {
+      if (plan.access !== 'owner') {
+        return res.status(403).json({ error: 'Only the creator can move this route plan to another project' });
+      }
+      if (projectId && !(await checkProjectAccess(res, projectId, req.user.id))) {
+        return;
+      }
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE route_plans
+       SET name = $1, notes = $2, project_id = $3, travel_mode = $4, speed_kmh = $5,
+           start_latitude = $6, start_longitude = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        name.trim(),
+        notes || null,
+        projectId,
+        travel_mode || plan.travel_mode,
+        speed_kmh || null,
+        start?.latitude ?? null,
+        start?.longitude ?? null,
+        plan.id,
+      ]
+    );
+    await saveStops(client, plan.id, stops);
+
+    await client.query('COMMIT');
+    // describePlan queries the pool, so give the client back first
+    client.release();
+    client = null;
+
+    res.json(await describePlan({ ...result.rows[0], access: plan.access }, req.user.id));
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error updating route plan:', error);
+    res.status(500).json({ error: 'Failed to update route plan' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Delete a plan
+router.delete('/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const plan = await getAccessibleRoutePlan(req.params.id, req.user.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Route plan not found' });
+    }
+    if (!canEditRoutePlan(plan)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this route plan' });
+    }
+
+    const result = await pool.query('DELETE FROM route_plans WHERE id = $1 RETURNING *', [plan.id]);
+    res.json({ message: 'Route plan deleted successfully', plan: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting route plan:', error);
+    res.status(500).json({ error: 'Failed to delete route plan' });
+  }
+});
+
+export default router;
@@ -0,0 +1,297 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import {
+  FORM_ACCESS_COLUMN,
+  FORM_ACCESS_JOIN,
+  FORM_VISIBLE_CONDITION,
+  getAccessibleForm,
+  canEditForm,
+} from '../utils/formAccess.js';
+import { ACCESS_JOIN, VISIBLE_CONDITION } from '../utils/waypointAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { checkFormFields, buildObservationFilters } from '../utils/surveyForms.js';
+import { encodeCursor, decodeCursor, parseLimit } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// All survey form routes require authentication; viewers can only read
+router.use(authenticateToken);
+router.use(requireWriteAccess);
+
+const formSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', nullable: true, maxLength: 10000 },
+  project_id: { type: 'integer', min: 1, nullable: true },
+  fields: { type: 'array', required: true },
+};
+
+const listQuerySchema = {
+  project_id: { type: 'integer', min: 1 },
+};
+
+const observationsQuerySchema = {
+  waypoint_id: { type: 'integer', min: 1 },
+  project_id: { type: 'integer', min: 1 },
+  observed_after: { type: 'string', maxLength: 50 },
+  observed_before: { type: 'string', maxLength: 50 },
+  limit: { type: 'integer', min: 1, max: 500 },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+// Fields whose type changed, which would make existing observations
+// unreadable. Fields removed earlier count too, so a field can't be removed
+// and re-added with another type.
+const retypedFields = (form, newFields) => {
+  const oldTypes = new Map([...form.retired_fields, ...form.fields].map((field) => [field.key, field.type]));
+  return newFields.filter((field) => oldTypes.has(field.key) && oldTypes.get(field.key) !== field.type);
+};
+
+// Definitions of the fields that are no longer on the form, kept for as long
+// as observations may hold their values
+const retiredFields = (form, newFields) => {
+  const keys = new Set(newFields.map((field) => field.key));
+  return [...form.retired_fields, ...form.fields].filter((field) => !keys.has(field.key));
+};
+
+// Get all forms visible to the current user, optionally for one project
+router.get('/', validate({ query: listQuerySchema }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT f.*, ${FORM_ACCESS_COLUMN},
+              (SELECT COUNT(*)::int FROM observations WHERE form_id = f.id) AS observation_count
+       FROM survey_forms f
+       ${FORM_ACCESS_JOIN}
+       WHERE ${FORM_VISIBLE_CONDITION} AND ($2::int IS NULL OR f.project_id = $2)
+       ORDER BY f.name ASC, f.id ASC`,
+      [req.user.id, req.query.project_id ?? null]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching survey forms:', error);
+    res.status(500).json({ error: 'Failed to fetch survey forms' });
+  }
+});
+
+// Get a single form by ID
+router.get('/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const form = await getAccessibleForm(req.params.id, req.user.id);
+
+    if (!form) {
+      return res.status(404).json({ error: 'Survey form not found' });
+    }
+
+    res.json(form);
+  } catch (error) {
+    console.error('Error fetching survey form:', error);
+    res.status(500).json({ error: 'Failed to fetch survey form' });
+  }
+});
+
+// Create a form, optionally shared with a project the user can edit
+router.post('/', validate({ body: formSchema }), async (req, res) => {
+  try {
+    const { name, description, project_id } = req.body;
+
+    const [details, fields] = checkFormFields(req.body.fields);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!hasProjectRole(role, 'editor')) {
+        return res.status(403).json({ error: 'You do not have permission to add forms to this project' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO survey_forms (name, description, project_id, created_by, fields)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [name.trim(), description || null, project_id || null, req.user.id, JSON.stringify(fields)]
+    );
+
+    res.status(201).json({ ...result.rows[0], access: 'owner' });
+  } catch (error) {
+    console.error('Error creating survey form:', error);
+    res.status(500).json({ error: 'Failed to create survey form' });
+  }
+});
+
+// Update a form. Fields can be added, removed or changed, but a field that
+// observations already use can't change its type, not even by removing it
+// and adding it back.
+router.put('/:id', validate({ params: idParam, body: formSchema }), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const form = await getAccessibleForm(req.params.id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Survey form not found' });
+    }
+    if (!canEditForm(form)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this form' });
+    }
+
+    const [details, fields] = checkFormFields(req.body.fields);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    const inUse = await pool.query('SELECT 1 FROM observations WHERE form_id = $1 LIMIT 1', [form.id]);
+    if (inUse.rows.length > 0) {
+      const retyped = retypedFields(form, fields);
+      if (retyped.length > 0) {
+        return sendValidationError(res, retyped.map((field) => ({
+          location: 'body',
+          field: `fields.${field.key}`,
+          message: 'cannot change type while observations use this form',
+        })));
+      }
+    }
+
+    // Moving a form to another project is limited to its creator
+    const projectId = req.body.project_id === undefined ? form.project_id : req.body.project_id || null;
+    if (String(projectId) !== String(form.project_id)) {
+      if (form.access !== 'owner') {
+        return res.status(403).json({ error: 'Only the creator can move this form to another project' });
+      }
+      if (projectId) {
+        const role = await getProjectRole(projectId, req.user.id);
+        if (!hasProjectRole(role, 'editor')) {
+          return res.status(403).json({ error: 'You do not have permission to add forms to this project' });
+        }
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE survey_forms
+       SET name = $1, description = $2, project_id = $3, fields = $4, retired_fields = $5,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        name.trim(),
+        description || null,
+        projectId,
+        JSON.stringify(fields),
+        JSON.stringify(inUse.rows.length > 0 ? retiredFields(form, fields) : []),
+        form.id,
+      ]
+    );
+
+    res.json({ ...result.rows[0], access: form.access });
+  } catch (error) {
+    console.error('Error updating survey form:', error);
+    res.status(500).json({ error: 'Failed to update survey form' });
+  }
+});
+
+// Delete a form that no observations use
+router.delete('/:id', validate({ params: idParam }), async (req, res) => {
+  try {
+    const form = await getAccessibleForm(req.params.id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Survey form not found' });
+    }
+    if (!canEditForm(form)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this form' });
+    }
+
+    const result = await pool.query('DELETE FROM survey_forms WHERE id = $1 RETURNING *', [form.id]);
+    res.json({ message: 'Survey form deleted successfully', form: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'Cannot delete a form that observations use' });
+    }
+    console.error('Error deleting survey form:', error);
+    res.status(500).json({ error: 'Failed to delete survey form' });
+  }
+});
+
+// Query observations recorded with a form at waypoints the user can see,
+// newest first. Besides waypoint_id, project_id, observed_after/observed_before
+// and limit/cursor, any form field can be filtered as <key>.<operator>=<value>,
+// e.g. ?ph.gte=6.5&ph.lte=8.5&habitat_class.in=wetland,marsh (see utils/surveyForms.js).
+// Responds with { data, paging: { limit, has_more, next_cursor } }.
+router.get('/:id/observations', validate({ params: idParam, query: observationsQuerySchema }), async (req, res) => {
+  try {
+    const form = await getAccessibleForm(req.params.id, req.user.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Survey form not found' });
+    }
+
+    const { waypoint_id, project_id, observed_after, observed_before } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const params = [req.user.id, form.id];
+    const conditions = ['o.form_id = $2', VISIBLE_CONDITION];
+
+    const filters = buildObservationFilters(form, req.query, params);
+    if (filters.details) {
+      return sendValidationError(res, filters.details);
+    }
+    conditions.push(...filters.conditions);
+
+    if (waypoint_id) {
+      params.push(waypoint_id);
+      conditions.push(`o.waypoint_id = $${params.length}`);
+    }
+    if (project_id) {
+      params.push(project_id);
+      conditions.push(`w.project_id = $${params.length}`);
+    }
+    for (const [field, value, operator] of [['observed_after', observed_after, '>='], ['observed_before', observed_before, '<']]) {
+      if (value === undefined) continue;
+      if (Number.isNaN(Date.parse(value))) {
+        return sendValidationError(res, [{ location: 'query', field, message: 'must be a date and time' }]);
+      }
+      params.push(value);
+      conditions.push(`o.observed_at ${operator} $${params.length}::timestamp`);
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Number.isInteger(cursor.id)) {
+        return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+      }
+      params.push(cursor.id);
+      conditions.push(`o.id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+    const result = await pool.query(
+      `SELECT o.*, w.name AS waypoint_name, w.latitude, w.longitude, w.project_id
+       FROM observations o
+       JOIN waypoints w ON w.id = o.waypoint_id
+       ${ACCESS_JOIN}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY o.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const data = result.rows.slice(0, limit);
+
+    res.json({
+      data,
+      paging: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor({ id: data[data.length - 1].id }) : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching observations:', error);
+    res.status(500).json({ error: 'Failed to fetch observations' });
+  }
+});
+
+export default router;
@@ -0,0 +1,354 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import {
+  TRACK_ACCESS_COLUMN,
+  TRACK_ACCESS_JOIN,
+  TRACK_VISIBLE_CONDITION,
+  getAccessibleTrack,
+  canEditTrack,
+} from '../utils/trackAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { computeTrackStats } from '../utils/geo.js';
+import { recordPositions } from '../utils/geofences.js';
+
+const router = express.Router();
+
+// Maximum number of points accepted in one append request
+const MAX_POINTS_PER_BATCH = 5000;
+
+// All track routes require authentication; viewers can only read
+router.use(authenticateToken);
+router.use(requireWriteAccess);
+
+// Get all tracks visible to the current user (without points), optionally filtered by project
+router.get('/', async (req, res) => {
+  try {
+    const { project_id } = req.query;
+    const params = [req.user.id];
+    let projectFilter = '';
+
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      params.push(project_id);
+      projectFilter = `AND t.project_id = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, ${TRACK_ACCESS_COLUMN}
+       FROM tracks t
+       ${TRACK_ACCESS_JOIN}
+       WHERE ${TRACK_VISIBLE_CONDITION} ${projectFilter}
+       ORDER BY t.started_at DESC`,
+      params
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching tracks:', error);
+    res.status(500).json({ error: 'Failed to fetch tracks' });
+  }
+});
+
+// Get a single track with its points grouped into segments
+router.get('/:id', async (req, res) => {
+  try {
+    const track = await getAccessibleTrack(req.params.id, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    const pointsResult = await pool.query(
+      `SELECT segment, recorded_at, latitude, longitude, elevation, accuracy, speed, heading
+       FROM track_points
+       WHERE track_id = $1
+       ORDER BY segment, recorded_at, id`,
+      [track.id]
+    );
+
+    const segments = [];
+    for (const { segment, ...point } of pointsResult.rows) {
+      let current = segments[segments.length - 1];
+      if (!current || current.segment !== segment) {
+        current = { segment, points: [] };
+        segments.push(current);
+      }
+      current.points.push(point);
+    }
+
+    res.json({ ...track, segments });
+  } catch (error) {
+    console.error('Error fetching track:', error);
+    res.status(500).json({ error: 'Failed to fetch track' });
+  }
+});
+
+// Start recording a new track
+router.post('/', async (req, res) => {
+  try {
+    const { name, notes, project_id, started_at } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Track name is required' });
+    }
+
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!hasProjectRole(role, 'editor')) {
+        return res.status(403).json({ error: 'You do not have permission to add tracks to this project' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO tracks (name, notes, user_id, project_id, started_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [name.trim(), notes || null, req.user.id, project_id || null, started_at || null]
+    );
+
+    res.status(201).json({ ...result.rows[0], access: 'owner' });
+  } catch (error) {
+    console.error('Error creating track:', error);
+    res.status(500).json({ error: 'Failed to create track' });
+  }
+});
+
+// Append a batch of points to a track that is still recording.
+// Points go into the track's current segment unless they name one. The points
+// are checked against the user's geofences and any enter/exit events returned.
+router.post('/:id/points', async (req, res) => {
+  try {
+    const { points } = req.body;
+
+    if (!Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({ error: 'points must be a non-empty array' });
+    }
+
+    if (points.length > MAX_POINTS_PER_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_POINTS_PER_BATCH} points can be sent per request` });
+    }
+
+    const track = await getAccessibleTrack(req.params.id, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    if (!canEditTrack(track)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this track' });
+    }
+
+    if (track.status !== 'recording') {
+      return res.status(409).json({ error: 'Track is closed' });
+    }
+
+    const errors = [];
+    points.forEach((point, index) => {
+      const error = validatePoint(point);
+      if (error) {
+        errors.push({ index, error });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid track points', details: errors });
+    }
+
+    const values = [];
+    const placeholders = points.map((point, index) => {
+      const offset = index * 9;
+      values.push(
+        track.id,
+        Number.isInteger(point.segment) ? point.segment : track.current_segment,
+        point.recorded_at,
+        point.latitude,
+        point.longitude,
+        optionalNumber(point.elevation),
+        optionalNumber(point.accuracy),
+        optionalNumber(point.speed),
+        optionalNumber(point.heading)
+      );
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9})`;
+    });
+
+    await pool.query(
+      `INSERT INTO track_points
+         (track_id, segment, recorded_at, latitude, longitude, elevation, accuracy, speed, heading)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+
+    await pool.query(
+      'UPDATE tracks SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [track.id]
+    );
+
+    // The points are stored either way, so a failed geofence check doesn't fail the upload
+    let geofenceEvents = [];
+    try {
+      geofenceEvents = await recordPositions(req.user.id, points, { trackId: track.id });
+    } catch (error) {
+      console.error('Error evaluating geofences for track points:', error);
+    }
+
+    res.status(201).json({ message: 'Points added successfully', count: points.length, geofence_events: geofenceEvents });
+  } catch (error) {
+    console.error('Error adding track points:', error);
+    res.status(500).json({ error: 'Failed to add track points' });
+  }
+});
+
+// Start a new segment, e.g. after recording was paused
+router.post('/:id/segments', async (req, res) => {
+  try {
+    const track = await getAccessibleTrack(req.params.id, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    if (!canEditTrack(track)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this track' });
+    }
+
+    if (track.status !== 'recording') {
+      return res.status(409).json({ error: 'Track is closed' });
+    }
+
+    const result = await pool.query(
+      `UPDATE tracks
+       SET current_segment = current_segment + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING current_segment`,
+      [track.id]
+    );
+
+    res.status(201).json({ segment: result.rows[0].current_segment });
+  } catch (error) {
+    console.error('Error starting track segment:', error);
+    res.status(500).json({ error: 'Failed to start track segment' });
+  }
+});
+
+// Close a track and compute its distance, duration, elevation gain and bounding box
+router.post('/:id/close', async (req, res) => {
+  try {
+    const track = await getAccessibleTrack(req.params.id, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    if (!canEditTrack(track)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this track' });
+    }
+
+    if (track.status !== 'recording') {
+      return res.status(409).json({ error: 'Track is already closed' });
+    }
+
+    const pointsResult = await pool.query(
+      `SELECT segment, recorded_at, latitude, longitude, elevation
+       FROM track_points
+       WHERE track_id = $1
+       ORDER BY segment, recorded_at, id`,
+      [track.id]
+    );
+
+    const stats = computeTrackStats(pointsResult.rows);
+    const lastPoint = pointsResult.rows[pointsResult.rows.length - 1];
+
+    const result = await pool.query(
+      `UPDATE tracks
+       SET status = 'closed',
+           ended_at = COALESCE($1::timestamp, $2::timestamp, CURRENT_TIMESTAMP),
+           point_count = $3, distance_m = $4, duration_s = $5,
+           elevation_gain_m = $6, elevation_loss_m = $7,
+           min_latitude = $8, min_longitude = $9, max_latitude = $10, max_longitude = $11,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $12
+       RETURNING *`,
+      [
+        req.body.ended_at || null,
+        lastPoint ? lastPoint.recorded_at : null,
+        stats.point_count,
+        stats.distance_m,
+        stats.duration_s,
+        stats.elevation_gain_m,
+        stats.elevation_loss_m,
+        stats.min_latitude,
+        stats.min_longitude,
+        stats.max_latitude,
+        stats.max_longitude,
+        track.id,
+      ]
+    );
+
+    res.json({ ...result.rows[0], access: track.access });
+  } catch (error) {
+    console.error('Error closing track:', error);
+    res.status(500).json({ error: 'Failed to close track' });
+  }
+});
+
+// Delete a track and its points
+router.delete('/:id', async (req, res) => {
+  try {
+    const track = await getAccessibleTrack(req.params.id, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+
+    if (!canEditTrack(track)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this track' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM tracks WHERE id = $1 RETURNING *',
+      [track.id]
+    );
+
+    res.json({ message: 'Track deleted successfully', track: result.rows[0] });
+  } catch (error) {
+    console.error('Error deleting track:', error);
+    res.status(500).json({ error: 'Failed to delete track' });
+  }
+});
+
+// Check a single track point, returning an error message or null
+function validatePoint(point) {
+  if (!point || typeof point !== 'object') {
+    return 'Point must be an object';
+  }
+  if (typeof point.latitude !== 'number' || point.latitude < -90 || point.latitude > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (typeof point.longitude !== 'number' || point.longitude < -180 || point.longitude > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  if (!point.recorded_at || Number.isNaN(new Date(point.recorded_at).getTime())) {
+    return 'recorded_at must be a valid timestamp';
+  }
+  for (const field of ['elevation', 'accuracy', 'speed', 'heading']) {
+    if (point[field] !== undefined && point[field] !== null && typeof point[field] !== 'number') {
+      return `${field} must be a number`;
+    }
+  }
+  if (point.segment !== undefined && (!Number.isInteger(point.segment) || point.segment < 0)) {
+    return 'segment must be a non-negative integer';
+  }
+  return null;
+}
+
+function optionalNumber(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+export default router;
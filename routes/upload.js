@@ -1,72 +1,62 @@
 import express from 'express';
-import cloudinary from '../config/cloudinary.js';
-import { v2 as cloudinaryUpload } from 'cloudinary';
-import multer from 'multer';
-import { Readable } from 'stream';
-import { authenticateToken } from '../middleware/auth.js';
+import pool from '../database/connection.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import { imageUpload } from '../middleware/upload.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { extractPhotoMetadata } from '../utils/exif.js';
+import { saveMedia, MEDIA_REFERENCE_COUNT } from '../utils/media.js';
 
 const router = express.Router();
 
-// Upload route requires authentication
+// Upload route requires authentication and is closed to viewers
 router.use(authenticateToken);
+router.use(requireWriteAccess);
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  },
-});
-
-// Upload image to Cloudinary
-router.post('/', upload.single('image'), async (req, res) => {
+// Upload image to the configured storage provider
+router.post('/', uploadLimiter, imageUpload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    // Convert buffer to stream
-    const stream = cloudinaryUpload.uploader.upload_stream(
-      {
-        folder: 'navigation-tracking',
-        resource_type: 'image',
-        transformation: [
-          { quality: 'auto' },
-          { fetch_format: 'auto' }
-        ]
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          return res.status(500).json({ error: 'Failed to upload image to Cloudinary' });
-        }
-        
-        res.json({
-          image_url: result.secure_url,
-          public_id: result.public_id
-        });
-      }
-    );
-
-    // Pipe the buffer to the stream
-    const bufferStream = new Readable();
-    bufferStream.push(req.file.buffer);
-    bufferStream.push(null);
-    bufferStream.pipe(stream);
-    
+    // Read GPS position and capture time before the stored copy loses the metadata
+    const exif = await extractPhotoMetadata(req.file.buffer, req.file.mimetype);
+
+    const media = await saveMedia(req.file, {
+      folder: 'navigation-tracking',
+      userId: req.user.id,
+      optimizeImage: true,
+    });
+
+    res.json({
+      image_url: media.url,
+      media_id: media.id,
+      storage_key: media.storage_key,
+      exif
+    });
   } catch (error) {
     console.error('Error uploading image:', error);
     res.status(500).json({ error: 'Failed to upload image' });
   }
 });
 
-export default router;
+// List the current user's uploads with how many waypoints and attachments use
+// each one; unused uploads are deleted by npm run cleanup-media after a grace period
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT m.id, m.url, m.provider, m.storage_key, m.mime_type, m.size_bytes,
+              m.original_filename, m.created_at, ${MEDIA_REFERENCE_COUNT} AS reference_count
+       FROM media_files m
+       WHERE m.user_id = $1
+       ORDER BY m.created_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching uploads:', error);
+    res.status(500).json({ error: 'Failed to fetch uploads' });
+  }
+});
 
+export default router;
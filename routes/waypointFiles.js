@@ -0,0 +1,328 @@
+import express from 'express';
+import QueryStream from 'pg-query-stream';
+import { pipeline } from 'stream/promises';
+import pool from '../database/connection.js';
+import { createMemoryUpload } from '../middleware/upload.js';
+import { validate, sendValidationError } from '../middleware/validate.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import {
+  ACCESS_COLUMN,
+  ACCESS_JOIN,
+  VISIBLE_CONDITION,
+} from '../utils/waypointAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { getAccessibleForm } from '../utils/formAccess.js';
+import { buildObservationFilters } from '../utils/surveyForms.js';
+import { formatDMS } from '../utils/geo.js';
+import { DELIMITERS, UTF8_BOM, csvLine } from '../utils/csv.js';
+import { lookupWaypointElevation } from '../services/elevation.js';
+import {
+  EXPORT_FORMATS,
+  PARSERS,
+  detectFormat,
+  toGPX,
+  toKML,
+  toGeoJSON,
+} from '../utils/geoFormats.js';
+
+// GPX / KML / GeoJSON export and import of waypoints.
+// Mounted by routes/waypoints.js after authentication.
+const router = express.Router();
+
+const IMPORT_EXTENSIONS = ['gpx', 'kml', 'geojson', 'json'];
+
+const exportQuerySchema = {
+  format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+  project_id: { type: 'integer', min: 1 },
+};
+
+const csvQuerySchema = {
+  columns: { type: 'string', maxLength: 2000 },
+  delimiter: { type: 'string', enum: Object.keys(DELIMITERS) },
+  coordinates: { type: 'string', enum: ['dd', 'dms'] },
+  excel: { type: 'boolean' },
+  project_id: { type: 'integer', min: 1 },
+  form_id: { type: 'integer', min: 1 },
+};
+
+// Waypoint columns of the CSV export, in default order
+const CSV_WAYPOINT_COLUMNS = {
+  id: (row) => row.id,
+  name: (row) => row.name,
+  latitude: (row, options) => options.coordinates === 'dms' ? formatDMS(row.latitude, 'latitude') : row.latitude,
+  longitude: (row, options) => options.coordinates === 'dms' ? formatDMS(row.longitude, 'longitude') : row.longitude,
+  elevation_m: (row) => row.elevation_m,
+  notes: (row) => row.notes,
+  image_url: (row) => row.image_url,
+  project_id: (row) => row.project_id,
+  created_at: (row) => row.created_at,
+  updated_at: (row) => row.updated_at,
+  version: (row) => row.version,
+};
+
+// Extra columns when exporting the observations of a survey form
+const CSV_OBSERVATION_COLUMNS = {
+  observation_id: (row) => row.observation_id,
+  observed_at: (row) => row.observed_at,
+  observed_by: (row) => row.observed_by,
+};
+
+// Columns for each field of a form, named by field key ("data.<key>" if the
+// key clashes with a built-in column)
+const formFieldColumns = (form) => Object.fromEntries(form.fields.map((field) => {
+  const name = CSV_WAYPOINT_COLUMNS[field.key] || CSV_OBSERVATION_COLUMNS[field.key] ? `data.${field.key}` : field.key;
+  return [name, (row) => row.observation_data?.[field.key]];
+}));
+
+const importBodySchema = {
+  format: { type: 'string', enum: Object.keys(PARSERS) },
+  project_id: { type: 'integer', min: 1 },
+};
+
+const geoFileUpload = createMemoryUpload({
+  accept: (file) => IMPORT_EXTENSIONS.includes(file.originalname.split('.').pop().toLowerCase()),
+  message: 'Only .gpx, .kml, .geojson and .json files are allowed',
+});
+
+// Export visible waypoints: GET /export?format=gpx|kml|geojson[&project_id=<id>]
+router.get('/export', validate({ query: exportQuerySchema }), async (req, res) => {
+  try {
+    const format = req.query.format || 'geojson';
+    const { project_id } = req.query;
+
+    const params = [req.user.id];
+    let projectFilter = '';
+
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      params.push(project_id);
+      projectFilter = `AND w.project_id = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT w.*, ${ACCESS_COLUMN}
+       FROM waypoints w
+       ${ACCESS_JOIN}
+       WHERE ${VISIBLE_CONDITION} ${projectFilter}
+       ORDER BY w.created_at ASC`,
+      params
+    );
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    let body;
+    if (format === 'gpx') {
+      body = toGPX(result.rows);
+    } else if (format === 'kml') {
+      body = toKML(result.rows);
+    } else {
+      body = JSON.stringify(toGeoJSON(result.rows), null, 2);
+    }
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="waypoints.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting waypoints:', error);
+    res.status(500).json({ error: 'Failed to export waypoints' });
+  }
+});
+
+// Stream visible waypoints as CSV: GET /export/csv with optional
+//   columns=name,latitude,...   columns to include, in order (default: all)
+//   delimiter=comma|semicolon|tab, coordinates=dd|dms (decimal degrees or degrees-minutes-seconds)
+//   excel=true                  add a byte order mark and neutralize formula-like text
+//   project_id=<id>             only waypoints in that project
+//   form_id=<id>                one row per observation recorded with that survey form,
+//                               with a column per form field; filters as in
+//                               GET /api/forms/:id/observations (e.g. ph.gte=6.5) apply
+// Rows are streamed from PostgreSQL as they are read, so exports of any size
+// use constant memory.
+router.get('/export/csv', validate({ query: csvQuerySchema }), async (req, res) => {
+  const { project_id, form_id } = req.query;
+  const delimiter = DELIMITERS[req.query.delimiter || 'comma'];
+  const options = { coordinates: req.query.coordinates || 'dd', excel: req.query.excel === true };
+
+  const params = [req.user.id];
+  const conditions = [VISIBLE_CONDITION];
+  let columns = { ...CSV_WAYPOINT_COLUMNS };
+  let form = null;
+
+  try {
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      params.push(project_id);
+      conditions.push(`w.project_id = $${params.length}`);
+    }
+
+    if (form_id) {
+      form = await getAccessibleForm(form_id, req.user.id);
+      if (!form) {
+        return res.status(404).json({ error: 'Survey form not found' });
+      }
+      params.push(form.id);
+      conditions.push(`o.form_id = $${params.length}`);
+
+      const filters = buildObservationFilters(form, req.query, params);
+      if (filters.details) {
+        return sendValidationError(res, filters.details);
+      }
+      conditions.push(...filters.conditions);
+      columns = { ...columns, ...CSV_OBSERVATION_COLUMNS, ...formFieldColumns(form) };
+    }
+  } catch (error) {
+    console.error('Error preparing CSV export:', error);
+    return res.status(500).json({ error: 'Failed to export waypoints' });
+  }
+
+  let selected = Object.keys(columns);
+  if (req.query.columns) {
+    selected = req.query.columns.split(',').map((column) => column.trim()).filter(Boolean);
+    const unknown = selected.filter((column) => !columns[column]);
+    if (selected.length === 0 || unknown.length > 0) {
+      return sendValidationError(res, [{
+        location: 'query',
+        field: 'columns',
+        message: `must list columns from: ${Object.keys(columns).join(', ')}`,
+      }]);
+    }
+  }
+
+  const sql = form
+    ? `SELECT w.*, o.id AS observation_id, o.observed_at, o.data AS observation_data, u.email AS observed_by
+       FROM observations o
+       JOIN waypoints w ON w.id = o.waypoint_id
+       ${ACCESS_JOIN}
+       LEFT JOIN users u ON u.id = o.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY o.observed_at ASC, o.id ASC`
+    : `SELECT w.*
+       FROM waypoints w
+       ${ACCESS_JOIN}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY w.created_at ASC, w.id ASC`;
+
+  let client;
+  let failed = false;
+  try {
+    client = await pool.connect();
+    const rows = client.query(new QueryStream(sql, params, { batchSize: 500 }))[Symbol.asyncIterator]();
+
+    // Read the first row before responding, so query errors still get a JSON error
+    const first = await rows.next();
+
+    const filename = form ? `observations-${form.id}.csv` : 'waypoints.csv';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const toLine = (row) => csvLine(selected.map((column) => columns[column](row, options)), delimiter, options);
+
+    await pipeline(async function* () {
+      try {
+        yield (options.excel ? UTF8_BOM : '') + csvLine(selected, delimiter, options);
+        if (first.done) return;
+        yield toLine(first.value);
+        for (let next = await rows.next(); !next.done; next = await rows.next()) {
+          yield toLine(next.value);
+        }
+      } finally {
+        // Stops the query if the client went away
+        await rows.return();
+      }
+    }, res);
+  } catch (error) {
+    failed = true;
+    if (!res.headersSent) {
+      console.error('Error exporting waypoints as CSV:', error);
+      res.status(500).json({ error: 'Failed to export waypoints' });
+    } else if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error streaming CSV export:', error);
+    }
+  } finally {
+    // A client whose query was cut off is not reused
+    client?.release(failed);
+  }
+});
+
+// Import waypoints from an uploaded file (multipart field "file").
+// Valid features are created in one transaction; the rest are reported back.
+// A file may hold at most MAX_IMPORT_FEATURES features (utils/geoFormats.js).
+router.post('/import', uploadLimiter, geoFileUpload.single('file'), validate({ body: importBodySchema }), async (req, res) => {
+  if (!req.file) {
+    return sendValidationError(res, [{ location: 'body', field: 'file', message: 'is required' }]);
+  }
+
+  const text = req.file.buffer.toString('utf8');
+  const format = req.body.format || detectFormat(req.file.originalname, text);
+  const projectId = req.body.project_id || null;
+
+  if (!format) {
+    return sendValidationError(res, [{ location: 'body', field: 'format', message: 'could not be detected, use gpx, kml or geojson' }]);
+  }
+
+  let parsed;
+  try {
+    parsed = PARSERS[format](text);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse ${format.toUpperCase()} file`, message: error.message });
+  }
+
+  if (projectId) {
+    const role = await getProjectRole(projectId, req.user.id).catch(() => null);
+    if (!role) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!hasProjectRole(role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to add waypoints to this project' });
+    }
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const created = [];
+    for (const waypoint of parsed.waypoints) {
+      const result = await client.query(
+        `INSERT INTO waypoints (name, latitude, longitude, elevation_m, notes, image_url, user_id, project_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::timestamp, CURRENT_TIMESTAMP))
+         RETURNING *`,
+        [
+          waypoint.name,
+          waypoint.latitude,
+          waypoint.longitude,
+          await lookupWaypointElevation(waypoint.latitude, waypoint.longitude),
+          waypoint.notes,
+          waypoint.image_url,
+          req.user.id,
+          projectId,
+          waypoint.created_at,
+        ]
+      );
+      created.push({ ...result.rows[0], access: 'owner' });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      format,
+      imported: created.length,
+      rejected: parsed.rejected,
+      waypoints: created,
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error importing waypoints:', error);
+    res.status(500).json({ error: 'Failed to import waypoints' });
+  } finally {
+    client?.release();
+  }
+});
+
+export default router;
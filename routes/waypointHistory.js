@@ -0,0 +1,152 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import { validate, sendValidationError, idParam } from '../middleware/validate.js';
+import { waypointWriteLimiter } from '../middleware/rateLimit.js';
+import {
+  ACCESS_COLUMN,
+  ACCESS_JOIN,
+  ACCESS_CONDITION,
+  getAccessibleWaypoint,
+  canEditWaypoint,
+} from '../utils/waypointAccess.js';
+import { expectedVersion, sendPreconditionFailed, setVersionHeader } from '../utils/versioning.js';
+import { RESTORABLE_FIELDS, changedFields, purgeDate } from '../utils/waypointHistory.js';
+import { lookupWaypointElevation } from '../services/elevation.js';
+
+// Edit history, deleted waypoints and restoring. History entries are written
+// by a trigger on every create, update, delete and restore, see
+// database/history_schema.sql.
+// Mounted by routes/waypoints.js after authentication.
+const router = express.Router();
+
+const restoreSchema = {
+  version: { type: 'integer', min: 1 },
+};
+
+// List deleted waypoints the user can still restore, most recently deleted first
+router.get('/deleted', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT w.*, ${ACCESS_COLUMN}, u.email AS deleted_by_email
+       FROM waypoints w
+       ${ACCESS_JOIN}
+       LEFT JOIN users u ON u.id = w.deleted_by
+       WHERE ${ACCESS_CONDITION} AND w.deleted_at IS NOT NULL
+       ORDER BY w.deleted_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows.map((waypoint) => ({ ...waypoint, restorable_until: purgeDate(waypoint.deleted_at) })));
+  } catch (error) {
+    console.error('Error fetching deleted waypoints:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted waypoints' });
+  }
+});
+
+// Get a waypoint's history, oldest first. Each entry has the user who made the
+// change, the waypoint before and after it and the names of changed fields.
+router.get('/:id/history', validate({ params: idParam }), async (req, res) => {
+  try {
+    const waypoint = await getAccessibleWaypoint(req.params.id, req.user.id, { includeDeleted: true });
+
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT h.id, h.action, h.version, h.before, h.after, h.created_at,
+              h.user_id, u.email AS user_email, u.full_name AS user_full_name
+       FROM waypoint_history h
+       LEFT JOIN users u ON u.id = h.user_id
+       WHERE h.waypoint_id = $1
+       ORDER BY h.version ASC, h.id ASC`,
+      [waypoint.id]
+    );
+
+    res.json({
+      waypoint_id: waypoint.id,
+      current_version: waypoint.version,
+      deleted_at: waypoint.deleted_at,
+      history: result.rows.map((entry) => ({ ...entry, changed_fields: changedFields(entry.before, entry.after) })),
+    });
+  } catch (error) {
+    console.error('Error fetching waypoint history:', error);
+    res.status(500).json({ error: 'Failed to fetch waypoint history' });
+  }
+});
+
+// Restore a waypoint: { version } brings back the fields it had at that version
+// (see RESTORABLE_FIELDS); a deleted waypoint is undeleted, with or without a
+// version. Honors If-Match like PUT.
+router.post('/:id/restore', waypointWriteLimiter, validate({ params: idParam, body: restoreSchema }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version } = req.body;
+
+    const waypoint = await getAccessibleWaypoint(id, req.user.id, { includeDeleted: true });
+
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+
+    if (!canEditWaypoint(waypoint)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this waypoint' });
+    }
+
+    if (!version && !waypoint.deleted_at) {
+      return sendValidationError(res, [{ location: 'body', field: 'version', message: 'is required to restore a waypoint that is not deleted' }]);
+    }
+
+    const expected = expectedVersion(req, waypoint);
+    if (expected === false) {
+      return sendPreconditionFailed(res, waypoint);
+    }
+
+    let fields = {};
+    if (version) {
+      const entry = await pool.query(
+        'SELECT after FROM waypoint_history WHERE waypoint_id = $1 AND version = $2 LIMIT 1',
+        [waypoint.id, version]
+      );
+
+      if (entry.rows.length === 0) {
+        return res.status(404).json({ error: `Version ${version} not found` });
+      }
+
+      const snapshot = entry.rows[0].after;
+      fields = Object.fromEntries(RESTORABLE_FIELDS.map((field) => [field, snapshot[field] ?? null]));
+
+      fields.elevation_m = await lookupWaypointElevation(fields.latitude, fields.longitude);
+    }
+
+    const params = [];
+    const assignments = Object.entries(fields).map(([column, value]) => {
+      params.push(value);
+      return `${column} = $${params.length}`;
+    });
+    params.push(req.user.id, waypoint.id, expected);
+
+    const result = await pool.query(
+      `UPDATE waypoints
+       SET ${[...assignments, ''].join(', ')}deleted_at = NULL, deleted_by = NULL,
+           change_author = $${params.length - 2}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length - 1} AND ($${params.length}::int IS NULL OR version = $${params.length})
+       RETURNING *`,
+      params
+    );
+
+    // Someone else saved in between reading and restoring
+    if (result.rows.length === 0) {
+      const latest = await getAccessibleWaypoint(id, req.user.id, { includeDeleted: true });
+      return latest
+        ? sendPreconditionFailed(res, latest)
+        : res.status(404).json({ error: 'Waypoint not found' });
+    }
+
+    res.json(setVersionHeader(res, { ...result.rows[0], access: waypoint.access }));
+  } catch (error) {
+    console.error('Error restoring waypoint:', error);
+    res.status(500).json({ error: 'Failed to restore waypoint' });
+  }
+});
+
+export default router;
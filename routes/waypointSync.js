@@ -0,0 +1,380 @@
+import express from 'express';
+import pool from '../database/connection.js';
+import {
+  validate,
+  checkSchema,
+  sendValidationError,
+  waypointSchema,
+} from '../middleware/validate.js';
+import { waypointWriteLimiter } from '../middleware/rateLimit.js';
+import {
+  ACCESS_COLUMN,
+  ACCESS_JOIN,
+  ACCESS_CONDITION,
+  VISIBLE_CONDITION,
+  canEditWaypoint,
+} from '../utils/waypointAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { encodeCursor, decodeCursor, parseLimit } from '../utils/pagination.js';
+import { lookupWaypointElevation } from '../services/elevation.js';
+
+// Offline sync of waypoints: a batch endpoint for changes made without signal
+// and a feed of changes since a cursor. Versions, change stamps and tombstones
+// are maintained by triggers, see database/sync_schema.sql. Deletes are soft
+// deletes like DELETE /api/waypoints/:id.
+// Mounted by routes/waypoints.js after authentication.
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 500;
+
+const syncSchema = {
+  changes: { type: 'array', required: true, minLength: 1, maxLength: MAX_BATCH_SIZE },
+};
+
+const changeSchema = {
+  op: { type: 'string', required: true, enum: ['create', 'update', 'delete'] },
+  client_id: { type: 'string', maxLength: 100 },
+  id: { type: 'integer', min: 1 },
+  base_version: { type: 'integer', min: 1 },
+  data: { type: 'object' },
+};
+
+const changesQuerySchema = {
+  cursor: { type: 'string', maxLength: 1000 },
+  limit: { type: 'integer', min: 1, max: 500 },
+};
+
+// Tombstones (aliased `t`) of waypoints the user bound to $1 could see when they were deleted
+const TOMBSTONE_VISIBLE_CONDITION = `(t.user_id = $1 OR $1 = ANY(t.shared_user_ids)
+  OR t.project_id IN (SELECT project_id FROM project_members WHERE user_id = $1))`;
+
+// Validate every change of a batch, returning [details, normalized changes]
+const checkChanges = (changes) => {
+  const details = [];
+  const normalized = [];
+
+  changes.forEach((change, index) => {
+    const prefix = `changes[${index}]`;
+    const { details: changeDetails, values } = checkSchema(change, changeSchema, prefix);
+    details.push(...changeDetails);
+    if (changeDetails.length > 0) return;
+
+    if (values.op === 'create' && !values.client_id) {
+      details.push({ location: prefix, field: 'client_id', message: 'is required' });
+    }
+    if (values.op !== 'create') {
+      if (!values.id && !values.client_id) {
+        details.push({ location: prefix, field: 'id', message: 'or client_id is required' });
+      }
+      if (!values.base_version) {
+        details.push({ location: prefix, field: 'base_version', message: 'is required' });
+      }
+    }
+    if (values.op !== 'delete') {
+      const data = checkSchema(values.data, waypointSchema, `${prefix}.data`);
+      details.push(...data.details);
+      values.data = data.values;
+    }
+
+    normalized.push(values);
+  });
+
+  return [details, normalized];
+};
+
+// Lock and return a waypoint visible to the user, by server id or by the
+// client id it was created with
+const lockWaypoint = async (client, userId, change) => {
+  const result = await client.query(
+    `SELECT w.*, ${ACCESS_COLUMN}
+     FROM waypoints w
+     ${ACCESS_JOIN}
+     WHERE ${change.id ? 'w.id = $2' : 'w.user_id = $1 AND w.client_id = $2'}
+       AND ${VISIBLE_CONDITION}
+     FOR UPDATE OF w`,
+    [userId, change.id || change.client_id]
+  );
+  return result.rows[0] || null;
+};
+
+// Find a deleted waypoint: one still awaiting purge, or the tombstone of a purged one
+const findTombstone = async (client, userId, change) => {
+  const deleted = await client.query(
+    `SELECT w.id AS waypoint_id, w.version, w.deleted_at
+     FROM waypoints w
+     ${ACCESS_JOIN}
+     WHERE ${change.id ? 'w.id = $2' : 'w.user_id = $1 AND w.client_id = $2'}
+       AND ${ACCESS_CONDITION} AND w.deleted_at IS NOT NULL`,
+    [userId, change.id || change.client_id]
+  );
+  if (deleted.rows.length > 0) {
+    return deleted.rows[0];
+  }
+
+  const result = await client.query(
+    `SELECT * FROM waypoint_tombstones t
+     WHERE ${change.id ? 't.waypoint_id = $2' : 't.user_id = $1 AND t.client_id = $2'}
+       AND ${TOMBSTONE_VISIBLE_CONDITION}
+     ORDER BY t.deleted_at DESC
+     LIMIT 1`,
+    [userId, change.id || change.client_id]
+  );
+  return result.rows[0] || null;
+};
+
+// Check the user may put a waypoint into a project, returning an error message or null
+const checkProjectAccess = async (projectId, userId) => {
+  if (!projectId) return null;
+  const role = await getProjectRole(projectId, userId);
+  if (!role) return 'Project not found';
+  if (!hasProjectRole(role, 'editor')) return 'You do not have permission to add waypoints to this project';
+  return null;
+};
+
+const applyCreate = async (client, userId, change) => {
+  // A retried batch finds the waypoint created the first time
+  const existing = await client.query(
+    `SELECT * FROM waypoints WHERE user_id = $1 AND client_id = $2`,
+    [userId, change.client_id]
+  );
+  if (existing.rows.length > 0) {
+    return { status: 'applied', waypoint: { ...existing.rows[0], access: 'owner' } };
+  }
+
+  const { name, latitude, longitude, notes, image_url, project_id } = change.data;
+
+  const projectError = await checkProjectAccess(project_id, userId);
+  if (projectError) {
+    return { status: 'rejected', error: projectError };
+  }
+
+  const elevation = await lookupWaypointElevation(latitude, longitude);
+  const result = await client.query(
+    `INSERT INTO waypoints (name, latitude, longitude, elevation_m, notes, image_url, user_id, project_id, client_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [name, latitude, longitude, elevation, notes || null, image_url || null, userId, project_id || null, change.client_id]
+  );
+  return { status: 'applied', waypoint: { ...result.rows[0], access: 'owner' } };
+};
+
+const applyUpdateOrDelete = async (client, userId, change) => {
+  const current = await lockWaypoint(client, userId, change);
+
+  if (!current) {
+    const tombstone = await findTombstone(client, userId, change);
+    if (!tombstone) {
+      return { status: 'rejected', error: 'Waypoint not found' };
+    }
+    // Deleting twice is harmless; updating a deleted waypoint is a conflict
+    if (change.op === 'delete') {
+      return { status: 'applied', id: tombstone.waypoint_id };
+    }
+    return {
+      status: 'conflict',
+      id: tombstone.waypoint_id,
+      conflict: { reason: 'deleted', server_version: tombstone.version, server: null, client: change.data },
+    };
+  }
+
+  if (!canEditWaypoint(current)) {
+    return { status: 'rejected', id: current.id, error: 'You do not have permission to edit this waypoint' };
+  }
+
+  if (current.version !== change.base_version) {
+    return {
+      status: 'conflict',
+      id: current.id,
+      conflict: {
+        reason: 'version_mismatch',
+        server_version: current.version,
+        server: current,
+        client: change.op === 'delete' ? null : change.data,
+      },
+    };
+  }
+
+  if (change.op === 'delete') {
+    await client.query(
+      `UPDATE waypoints
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, change_author = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [current.id, userId]
+    );
+    return { status: 'applied', id: current.id };
+  }
+
+  const { name, latitude, longitude, notes, image_url } = change.data;
+  const projectId = change.data.project_id === undefined ? current.project_id : change.data.project_id || null;
+
+  if (String(projectId) !== String(current.project_id)) {
+    if (current.access !== 'owner') {
+      return { status: 'rejected', id: current.id, error: 'Only the owner can move this waypoint to another project' };
+    }
+    const projectError = await checkProjectAccess(projectId, userId);
+    if (projectError) {
+      return { status: 'rejected', id: current.id, error: projectError };
+    }
+  }
+
+  const elevation = await lookupWaypointElevation(latitude, longitude);
+  const result = await client.query(
+    `UPDATE waypoints
+     SET name = $1, latitude = $2, longitude = $3, notes = $4, image_url = $5, project_id = $6,
+         elevation_m = $9, change_author = $8, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $7
+     RETURNING *`,
+    [name, latitude, longitude, notes || null, image_url || null, projectId, current.id, userId, elevation]
+  );
+  return { status: 'applied', id: current.id, waypoint: { ...result.rows[0], access: current.access } };
+};
+
+// Apply a batch of offline changes in one transaction:
+//   { changes: [{ op: 'create', client_id, data },
+//               { op: 'update', id | client_id, base_version, data },
+//               { op: 'delete', id | client_id, base_version }] }
+// data has the fields of POST /api/waypoints. Changes made against an outdated
+// base_version are not applied; they come back as conflicts carrying both the
+// server's and the client's version, to be resolved and sent again.
+// Responds with one result per change, in order:
+//   { index, op, client_id, id, status: 'applied' | 'conflict' | 'rejected', waypoint?, conflict?, error? }
+router.post('/sync', waypointWriteLimiter, validate({ body: syncSchema }), async (req, res) => {
+  const [details, changes] = checkChanges(req.body.changes);
+  if (details.length > 0) {
+    return sendValidationError(res, details);
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const results = [];
+    for (const [index, change] of changes.entries()) {
+      const outcome = change.op === 'create'
+        ? await applyCreate(client, req.user.id, change)
+        : await applyUpdateOrDelete(client, req.user.id, change);
+
+      results.push({
+        index,
+        op: change.op,
+        client_id: change.client_id ?? outcome.waypoint?.client_id ?? null,
+        id: outcome.waypoint?.id ?? outcome.id ?? change.id ?? null,
+        ...outcome,
+      });
+    }
+
+    await client.query('COMMIT');
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    res.json({
+      applied: count('applied'),
+      conflicts: count('conflict'),
+      rejected: count('rejected'),
+      results,
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    console.error('Error syncing waypoints:', error);
+    res.status(500).json({ error: 'Failed to sync waypoints' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Feed position condition for a table alias; $2, $3 are the cursor and $4 the horizon
+const changeRange = (alias) =>
+  `(${alias}.change_txid, ${alias}.change_seq) > ($2::bigint, $3::bigint) AND ${alias}.change_txid < $4::bigint`;
+
+const changeOrder = (a, b) => {
+  const byTxid = BigInt(a.change_txid) - BigInt(b.change_txid);
+  if (byTxid !== 0n) return byTxid < 0n ? -1 : 1;
+  const bySeq = BigInt(a.change_seq) - BigInt(b.change_seq);
+  return bySeq === 0n ? 0 : bySeq < 0n ? -1 : 1;
+};
+
+// Changes to visible waypoints since a cursor, oldest first:
+//   GET /changes?cursor=<next_cursor>&limit=<n>
+// Without a cursor the feed starts from the beginning. Responds with
+//   { changes: [{ type: 'upsert', waypoint } | { type: 'delete', id, client_id, version, deleted_at }],
+//     next_cursor, has_more }
+// Keep next_cursor for the next call, also when no changes were returned.
+router.get('/changes', validate({ query: changesQuerySchema }), async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  let after = { txid: '0', id: '0' };
+
+  if (req.query.cursor) {
+    after = decodeCursor(req.query.cursor);
+    if (!after || !/^\d+$/.test(String(after.txid)) || !/^\d+$/.test(String(after.id))) {
+      return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+    }
+  }
+
+  try {
+    // Transactions from here on may still be running; their changes are
+    // returned by a later call
+    const horizon = await pool.query('SELECT txid_snapshot_xmin(txid_current_snapshot()) AS xmin');
+    const params = [req.user.id, after.txid, after.id, horizon.rows[0].xmin, limit + 1];
+
+    // Includes deleted waypoints awaiting purge, reported as deletions
+    const waypoints = await pool.query(
+      `SELECT w.*, ${ACCESS_COLUMN}
+       FROM waypoints w
+       ${ACCESS_JOIN}
+       WHERE ${ACCESS_CONDITION} AND ${changeRange('w')}
+       ORDER BY w.change_txid, w.change_seq
+       LIMIT $5`,
+      params
+    );
+
+    const purged = await pool.query(
+      `SELECT * FROM waypoint_tombstones t
+       WHERE ${TOMBSTONE_VISIBLE_CONDITION} AND ${changeRange('t')}
+       ORDER BY t.change_txid, t.change_seq
+       LIMIT $5`,
+      params
+    );
+
+    const entries = [
+      ...waypoints.rows.map((waypoint) => ({
+        change_txid: waypoint.change_txid,
+        change_seq: waypoint.change_seq,
+        change: waypoint.deleted_at
+          ? {
+            type: 'delete',
+            id: waypoint.id,
+            client_id: waypoint.client_id,
+            version: waypoint.version,
+            deleted_at: waypoint.deleted_at,
+          }
+          : { type: 'upsert', waypoint },
+      })),
+      ...purged.rows.map((tombstone) => ({
+        change_txid: tombstone.change_txid,
+        change_seq: tombstone.change_seq,
+        change: {
+          type: 'delete',
+          id: tombstone.waypoint_id,
+          client_id: tombstone.client_id,
+          version: tombstone.version,
+          deleted_at: tombstone.deleted_at,
+        },
+      })),
+    ].sort(changeOrder);
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      changes: page.map((entry) => entry.change),
+      next_cursor: encodeCursor(last ? { txid: last.change_txid, id: last.change_seq } : after),
+      has_more: hasMore,
+    });
+  } catch (error) {
+    console.error('Error fetching waypoint changes:', error);
+    res.status(500).json({ error: 'Failed to fetch waypoint changes' });
+  }
+});
+
+export default router;
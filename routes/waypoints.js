@@ -1,61 +1,370 @@
 import express from 'express';
 import pool from '../database/connection.js';
-import cloudinary from '../config/cloudinary.js';
-import { v2 as cloudinaryUpload } from 'cloudinary';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireWriteAccess } from '../middleware/auth.js';
+import {
+  ACCESS_COLUMN,
+  ACCESS_JOIN,
+  VISIBLE_CONDITION,
+  getAccessibleWaypoint,
+  canEditWaypoint,
+} from '../utils/waypointAccess.js';
+import { getProjectRole, hasProjectRole } from '../utils/projectAccess.js';
+import { buildSpatialFilter, boundNearest } from '../utils/spatialQuery.js';
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  likePattern,
+} from '../utils/pagination.js';
+import {
+  validate,
+  sendValidationError,
+  idParam,
+  waypointSchema,
+} from '../middleware/validate.js';
+import { waypointWriteLimiter, uploadLimiter } from '../middleware/rateLimit.js';
+import { imageUpload } from '../middleware/upload.js';
+import { storeAttachmentFile, insertAttachment, withLocationCheck } from '../utils/attachments.js';
+import { extractPhotoMetadata } from '../utils/exif.js';
+import { releaseMediaUrl, deleteMedia } from '../utils/media.js';
+import { purgeDate } from '../utils/waypointHistory.js';
+import { expectedVersion, sendPreconditionFailed, setVersionHeader } from '../utils/versioning.js';
+import { lookupWaypointElevation } from '../services/elevation.js';
+import { getEffectivePreferences, resolvePreferences } from '../utils/preferences.js';
+import { parseCoordinates } from '../middleware/coordinates.js';
+import { COORDINATE_FORMATS, DATUM_NAMES, describeCoordinates } from '../utils/coordinates.js';
+import waypointFilesRoutes from './waypointFiles.js';
+import waypointSyncRoutes from './waypointSync.js';
+import waypointHistoryRoutes from './waypointHistory.js';
+import attachmentsRoutes from './attachments.js';
+import observationsRoutes from './observations.js';
 
 const router = express.Router();
 
-// Get default location (public endpoint, no auth required for this)
+// Request schemas
+// PATCH accepts any subset of the waypoint fields
+const patchSchema = Object.fromEntries(
+  Object.entries(waypointSchema).map(([field, rules]) => [field, { ...rules, required: false }])
+);
+
+// Optional converted positions in responses: ?formats=utm,mgrs,dms&datum=ED50
+const coordinateQuerySchema = {
+  formats: {
+    type: 'string',
+    pattern: new RegExp(`^(${COORDINATE_FORMATS.join('|')})(,(${COORDINATE_FORMATS.join('|')}))*$`),
+    message: `must be a comma-separated list of: ${COORDINATE_FORMATS.join(', ')}`,
+  },
+  datum: { type: 'string', enum: DATUM_NAMES },
+};
+
+const listQuerySchema = {
+  ...coordinateQuerySchema,
+  project_id: { type: 'string', pattern: /^(none|\d+)$/, message: 'must be a project id or "none"' },
+  q: { type: 'string', maxLength: 200 },
+  sort: { type: 'string', enum: ['created_at', 'updated_at', 'name', 'distance'] },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  limit: { type: 'integer', min: 1, max: 500 },
+  cursor: { type: 'string', maxLength: 1000 },
+  bbox: { type: 'string' },
+  near: { type: 'string' },
+  radius: { type: 'number', min: 0 },
+  nearest: { type: 'integer', min: 1 },
+};
+
+const fromPhotoSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  notes: { type: 'string', maxLength: 10000 },
+  caption: { type: 'string', maxLength: 2000 },
+  project_id: { type: 'integer', min: 1 },
+};
+
+const shareSchema = {
+  email: { type: 'email', required: true, maxLength: 255 },
+  can_edit: { type: 'boolean' },
+};
+
+const shareParams = {
+  ...idParam,
+  userId: { type: 'integer', min: 1, required: true },
+};
+
+// Add the `coordinates` requested with ?formats= (and ?datum=) to a waypoint
+const withCoordinates = (waypoint, query) => {
+  if (!query.formats) return waypoint;
+  return {
+    ...waypoint,
+    coordinates: describeCoordinates(waypoint.latitude, waypoint.longitude, query.formats.split(','), query.datum),
+  };
+};
+
+// Delete a waypoint's previous image once it was replaced, unless still in use
+// or uploaded by someone other than the waypoint's owner
+const releaseReplacedImage = async (imageUrl, ownerId) => {
+  try {
+    await releaseMediaUrl(imageUrl, ownerId);
+  } catch (storageError) {
+    console.error('Error deleting replaced image from storage:', storageError);
+  }
+};
+
+// Delete a file stored for a request that then failed
+const discardStoredFile = async (stored) => {
+  try {
+    await deleteMedia(stored.media);
+  } catch (storageError) {
+    console.error('Error deleting stored file:', storageError);
+  }
+};
+
+// Get the global default location (public endpoint, no auth required for this),
+// the home location of the global preferences or else the built-in one.
+// Signed-in clients should use GET /api/preferences, which also applies the
+// user's and project's own settings.
 // This must be before authenticateToken middleware
 router.get('/default', async (req, res) => {
+  let preferences;
   try {
-    const result = await pool.query(
-      'SELECT * FROM waypoints WHERE LOWER(name) = $1 LIMIT 1',
-      ['default location']
-    );
-    
-    if (result.rows.length === 0) {
-      // Return fallback default location if not found in database
-      return res.json({
-        id: null,
-        name: 'Default Location',
-        latitude: 26.516654,
-        longitude: 80.231507,
-        notes: null,
-        image_url: null,
-        created_at: null,
-        updated_at: null
-      });
-    }
-    
-    res.json(result.rows[0]);
+    preferences = await getEffectivePreferences(null);
   } catch (error) {
     console.error('Error fetching default location:', error);
-    // Return fallback on error
-    res.json({
-      id: null,
-      name: 'Default Location',
-      latitude: 26.516654,
-      longitude: 80.231507,
-      notes: null,
-      image_url: null,
-      created_at: null,
-      updated_at: null
-    });
+    // Fall back to the built-in location on error
+    preferences = resolvePreferences({});
   }
+  
+  res.json({
+    id: null,
+    name: preferences.home_name || 'Default Location',
+    latitude: preferences.home_latitude,
+    longitude: preferences.home_longitude,
+    notes: null,
+    image_url: null,
+    created_at: null,
+    updated_at: null
+  });
 });
 
-// All other waypoints routes require authentication
+// All other waypoints routes require authentication; viewers can only read
 router.use(authenticateToken);
+router.use(requireWriteAccess);
+
+// GPX / KML / GeoJSON export and import (must be before /:id)
+router.use(waypointFilesRoutes);
+
+// Offline sync batch and change feed (must be before /:id)
+router.use(waypointSyncRoutes);
+
+// Edit history, deleted waypoints and restore (must be before /:id)
+router.use(waypointHistoryRoutes);
+
+// Photos, audio notes and documents attached to a waypoint
+router.use('/:id/attachments', attachmentsRoutes);
+
+// Survey observations recorded at a waypoint
+router.use('/:id/observations', observationsRoutes);
+
+// Create a waypoint at the GPS position stored in a photo's EXIF data
+// (multipart field "image" plus name, notes, caption and project_id);
+// the photo becomes the waypoint's first attachment
+router.post(
+  '/from-photo',
+  waypointWriteLimiter,
+  uploadLimiter,
+  imageUpload.single('image'),
+  validate({ body: fromPhotoSchema }),
+  async (req, res) => {
+    if (!req.file) {
+      return sendValidationError(res, [{ location: 'body', field: 'image', message: 'is required' }]);
+    }
+    
+    const { name, notes, caption, project_id } = req.body;
+    
+    const exif = await extractPhotoMetadata(req.file.buffer, req.file.mimetype);
+    if (exif.latitude === null) {
+      return sendValidationError(res, [{ location: 'body', field: 'image', message: 'has no GPS position in its EXIF data' }]);
+    }
+    
+    let stored;
+    try {
+      if (project_id) {
+        const role = await getProjectRole(project_id, req.user.id);
+        if (!role) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        if (!hasProjectRole(role, 'editor')) {
+          return res.status(403).json({ error: 'You do not have permission to add waypoints to this project' });
+        }
+      }
+      
+      stored = await storeAttachmentFile(req.file, req.user.id, exif);
+    } catch (error) {
+      console.error('Error storing photo:', error);
+      return res.status(500).json({ error: 'Failed to upload photo' });
+    }
+    
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      
+      const elevation = await lookupWaypointElevation(stored.exif.latitude, stored.exif.longitude);
+      const waypointResult = await client.query(
+        `INSERT INTO waypoints (name, latitude, longitude, elevation_m, notes, image_url, user_id, project_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [name, stored.exif.latitude, stored.exif.longitude, elevation, notes || null, stored.url, req.user.id, project_id || null]
+      );
+      const waypoint = waypointResult.rows[0];
+      
+      const attachment = await insertAttachment(client, {
+        waypointId: waypoint.id,
+        userId: req.user.id,
+        file: req.file,
+        stored,
+        caption,
+      });
+      
+      await client.query('COMMIT');
+      res.status(201).json({
+        ...waypoint,
+        access: 'owner',
+        attachments: [withLocationCheck(attachment, waypoint)]
+      });
+    } catch (error) {
+      await client?.query('ROLLBACK');
+      console.error('Error creating waypoint from photo:', error);
+      // The photo was stored before the transaction; don't leave it behind
+      await discardStoredFile(stored);
+      res.status(500).json({ error: 'Failed to create waypoint from photo' });
+    } finally {
+      client?.release();
+    }
+  }
+);
+
+// Sortable fields for the waypoint list; `cast` is the type of the cursor value
+const SORT_FIELDS = {
+  created_at: { cast: 'timestamp', order: 'desc' },
+  updated_at: { cast: 'timestamp', order: 'desc' },
+  name: { cast: 'text', order: 'asc' },
+  distance: { cast: 'float8', order: 'asc' },
+};
 
-// Get all waypoints
-router.get('/', async (req, res) => {
+// Get all waypoints visible to the current user. Supported query parameters:
+//   project_id=<id>|none                only waypoints in that project / outside any project
+//   bbox=, near=lat,lon, radius=, nearest=   location filters, see utils/spatialQuery.js
+//   q=<text>                            case-insensitive search over name and notes
+//   sort=created_at|updated_at|name|distance, order=asc|desc
+//   limit=<n>, cursor=<next_cursor>     cursor pagination
+// With near, each row gets a distance_m and the default sort is nearest first;
+// nearest=N only goes with that sort.
+// Without limit or cursor the full list is returned as an array (as before);
+// with either, the response is { data, paging: { limit, has_more, next_cursor, sort, order } }.
+router.get('/', validate({ query: listQuerySchema }), async (req, res) => {
   try {
+    const { project_id, q, cursor } = req.query;
+    const params = [req.user.id];
+    const conditions = [VISIBLE_CONDITION];
+    const paginate = req.query.limit !== undefined || cursor !== undefined;
+    
+    if (project_id === 'none') {
+      conditions.push('w.project_id IS NULL');
+    } else if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      params.push(project_id);
+      conditions.push(`w.project_id = $${params.length}`);
+    }
+    
+    const spatial = buildSpatialFilter(req.query, params);
+    if (spatial.error) {
+      return sendValidationError(res, [{ location: 'query', field: spatial.field, message: spatial.error }]);
+    }
+    conditions.push(...spatial.conditions);
+    
+    if (q !== undefined && String(q).trim()) {
+      params.push(likePattern(String(q).trim()));
+      conditions.push(`(w.name ILIKE $${params.length} OR w.notes ILIKE $${params.length})`);
+    }
+    
+    const sort = req.query.sort || (spatial.distanceSql ? 'distance' : 'created_at');
+    if (sort === 'distance' && !spatial.distanceSql) {
+      return sendValidationError(res, [{ location: 'query', field: 'sort', message: 'distance requires near=lat,lon' }]);
+    }
+    
+    const order = req.query.order || SORT_FIELDS[sort].order;
+    
+    // nearest=N keeps the N closest waypoints, so it only goes with nearest first
+    if (spatial.limit && (sort !== 'distance' || order !== 'asc')) {
+      return sendValidationError(res, [{ location: 'query', field: 'nearest', message: 'requires sort=distance and order=asc' }]);
+    }
+    
+    const sortSql = {
+      created_at: 'w.created_at',
+      updated_at: 'w.updated_at',
+      name: 'LOWER(w.name)',
+      distance: spatial.distanceSql,
+    }[sort];
+    
+    const limit = paginate ? parseLimit(req.query.limit) : null;
+    if (paginate && spatial.limit) {
+      return sendValidationError(res, [{ location: 'query', field: 'nearest', message: 'cannot be combined with limit or cursor' }]);
+    }
+    
+    if (spatial.nearest) {
+      conditions.push(...await boundNearest(spatial, { db: pool, join: ACCESS_JOIN, conditions, params }));
+    }
+    
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+      if (!position || position.sort !== sort || position.order !== order) {
+        return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'is not valid for this sort order' }]);
+      }
+      params.push(position.value, position.id);
+      const comparison = order === 'asc' ? '>' : '<';
+      conditions.push(
+        `(${sortSql}, w.id) ${comparison} ($${params.length - 1}::${SORT_FIELDS[sort].cast}, $${params.length})`
+      );
+    }
+    
+    const columns = ['w.*', ACCESS_COLUMN, `(${sortSql})::text AS sort_value`];
+    if (spatial.distanceColumn) {
+      columns.push(spatial.distanceColumn);
+    }
+    
+    const rowLimit = paginate ? limit + 1 : spatial.limit;
     const result = await pool.query(
-      'SELECT * FROM waypoints ORDER BY created_at DESC'
+      `SELECT ${columns.join(', ')}
+       FROM waypoints w
+       ${ACCESS_JOIN}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sortSql} ${order.toUpperCase()}, w.id ${order.toUpperCase()}
+       ${rowLimit ? `LIMIT ${rowLimit}` : ''}`,
+      params
     );
-    res.json(result.rows);
+    
+    const rows = paginate ? result.rows.slice(0, limit) : result.rows;
+    const data = rows.map(({ sort_value, ...waypoint }) => withCoordinates(waypoint, req.query));
+    
+    if (!paginate) {
+      return res.json(data);
+    }
+    
+    const hasMore = result.rows.length > limit;
+    const last = rows[rows.length - 1];
+    res.json({
+      data,
+      paging: {
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore
+          ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+          : null,
+        sort,
+        order,
+      },
+    });
   } catch (error) {
     console.error('Error fetching waypoints:', error);
     res.status(500).json({ error: 'Failed to fetch waypoints' });
@@ -63,162 +372,328 @@ router.get('/', async (req, res) => {
 });
 
 // Get a single waypoint by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParam, query: coordinateQuerySchema }), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query(
-      'SELECT * FROM waypoints WHERE id = $1',
-      [id]
-    );
+    const waypoint = await getAccessibleWaypoint(id, req.user.id);
     
-    if (result.rows.length === 0) {
+    if (!waypoint) {
       return res.status(404).json({ error: 'Waypoint not found' });
     }
     
-    res.json(result.rows[0]);
+    res.json(withCoordinates(setVersionHeader(res, waypoint), req.query));
   } catch (error) {
     console.error('Error fetching waypoint:', error);
     res.status(500).json({ error: 'Failed to fetch waypoint' });
   }
 });
 
-// Create a new waypoint
-router.post('/', async (req, res) => {
+// Create a new waypoint, optionally inside a project the user can edit
+router.post('/', waypointWriteLimiter, parseCoordinates, validate({ body: waypointSchema }), async (req, res) => {
   try {
-    const { name, latitude, longitude, notes, image_url } = req.body;
+    const { name, latitude, longitude, notes, image_url, project_id } = req.body;
     
-    // Check if "Default Location" already exists (case-insensitive)
-    if (name && name.trim().toLowerCase() === 'default location') {
-      const existingCheck = await pool.query(
-        'SELECT id FROM waypoints WHERE LOWER(name) = $1',
-        ['default location']
-      );
-      
-      if (existingCheck.rows.length > 0) {
-        // Update existing "Default Location" instead of creating a new one
-        const result = await pool.query(
-          `UPDATE waypoints 
-           SET latitude = $1, longitude = $2, notes = $3, image_url = $4, updated_at = CURRENT_TIMESTAMP
-           WHERE LOWER(name) = $5
-           RETURNING *`,
-          [latitude, longitude, notes || null, image_url || null, 'default location']
-        );
-        return res.status(200).json(result.rows[0]);
+    if (project_id) {
+      const role = await getProjectRole(project_id, req.user.id);
+      if (!role) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!hasProjectRole(role, 'editor')) {
+        return res.status(403).json({ error: 'You do not have permission to add waypoints to this project' });
       }
     }
     
+    const elevation = await lookupWaypointElevation(latitude, longitude);
+    
     const result = await pool.query(
-      `INSERT INTO waypoints (name, latitude, longitude, notes, image_url)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO waypoints (name, latitude, longitude, elevation_m, notes, image_url, user_id, project_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [name, latitude, longitude, notes || null, image_url || null]
+      [name, latitude, longitude, elevation, notes || null, image_url || null, req.user.id, project_id || null]
     );
     
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(setVersionHeader(res, { ...result.rows[0], access: 'owner' }));
   } catch (error) {
     console.error('Error creating waypoint:', error);
     res.status(500).json({ error: 'Failed to create waypoint' });
   }
 });
 
-// Update a waypoint
-router.put('/:id', async (req, res) => {
+// Apply `fields` (column -> new value) to a waypoint the user can edit.
+// Shared by PUT, which sends every field, and PATCH, which sends only changes.
+// Honors If-Match: a stale version gets 412 with the current waypoint.
+const updateWaypoint = async (req, res, fields) => {
   try {
     const { id } = req.params;
-    const { name, latitude, longitude, notes, image_url } = req.body;
     
-    // Get the current waypoint to check if it's "Default Location"
-    const currentWaypoint = await pool.query(
-      'SELECT name FROM waypoints WHERE id = $1',
-      [id]
-    );
+    // Get the current waypoint to check access
+    const currentWaypoint = await getAccessibleWaypoint(id, req.user.id);
     
-    if (currentWaypoint.rows.length === 0) {
+    if (!currentWaypoint) {
       return res.status(404).json({ error: 'Waypoint not found' });
     }
     
-    const currentName = currentWaypoint.rows[0].name;
-    const isDefaultLocation = currentName && currentName.trim().toLowerCase() === 'default location';
+    if (!canEditWaypoint(currentWaypoint)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this waypoint' });
+    }
+    
+    const version = expectedVersion(req, currentWaypoint);
+    if (version === false) {
+      return sendPreconditionFailed(res, currentWaypoint);
+    }
+    
+    // Moving a waypoint between projects is limited to its owner, who must be
+    // able to edit the target project. Omitting project_id keeps the current one.
+    const projectId = fields.project_id === undefined
+      ? currentWaypoint.project_id
+      : fields.project_id || null;
     
-    // If it's "Default Location", don't allow name change
-    // Also check if trying to change another waypoint's name to "Default Location"
-    if (isDefaultLocation && name && name.trim().toLowerCase() !== 'default location') {
-      return res.status(400).json({ error: 'Cannot change the name of "Default Location"' });
+    if (String(projectId) !== String(currentWaypoint.project_id)) {
+      if (currentWaypoint.access !== 'owner') {
+        return res.status(403).json({ error: 'Only the owner can move this waypoint to another project' });
+      }
+      if (projectId) {
+        const role = await getProjectRole(projectId, req.user.id);
+        if (!hasProjectRole(role, 'editor')) {
+          return res.status(403).json({ error: 'You do not have permission to add waypoints to this project' });
+        }
+      }
     }
     
-    if (!isDefaultLocation && name && name.trim().toLowerCase() === 'default location') {
-      // Check if "Default Location" already exists
-      const existingCheck = await pool.query(
-        'SELECT id FROM waypoints WHERE LOWER(name) = $1 AND id != $2',
-        ['default location', id]
+    const columns = { ...fields, project_id: projectId, change_author: req.user.id };
+    
+    // Moving the waypoint samples the elevation at its new position
+    if (fields.latitude !== undefined || fields.longitude !== undefined) {
+      columns.elevation_m = await lookupWaypointElevation(
+        fields.latitude ?? currentWaypoint.latitude,
+        fields.longitude ?? currentWaypoint.longitude
       );
-      
-      if (existingCheck.rows.length > 0) {
-        return res.status(400).json({ error: 'A waypoint named "Default Location" already exists' });
-      }
     }
+    const params = [];
+    const assignments = Object.entries(columns)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+      });
+    params.push(id, version);
     
     const result = await pool.query(
       `UPDATE waypoints 
-       SET name = $1, latitude = $2, longitude = $3, notes = $4, image_url = $5, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6
+       SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${params.length - 1} AND ($${params.length}::int IS NULL OR version = $${params.length})
        RETURNING *`,
-      [name, latitude, longitude, notes || null, image_url || null, id]
+      params
     );
     
-    res.json(result.rows[0]);
+    // Someone else saved in between reading and updating
+    if (result.rows.length === 0) {
+      const latest = await getAccessibleWaypoint(id, req.user.id);
+      return latest
+        ? sendPreconditionFailed(res, latest)
+        : res.status(404).json({ error: 'Waypoint not found' });
+    }
+    
+    if (currentWaypoint.image_url && currentWaypoint.image_url !== result.rows[0].image_url) {
+      await releaseReplacedImage(currentWaypoint.image_url, currentWaypoint.user_id);
+    }
+    
+    res.json(setVersionHeader(res, { ...result.rows[0], access: currentWaypoint.access }));
   } catch (error) {
     console.error('Error updating waypoint:', error);
     res.status(500).json({ error: 'Failed to update waypoint' });
   }
+};
+
+// Update a waypoint, replacing all of its fields (missing optional fields are cleared)
+router.put('/:id', waypointWriteLimiter, parseCoordinates, validate({ params: idParam, body: waypointSchema }), (req, res) => {
+  const { name, latitude, longitude, notes, image_url, project_id } = req.body;
+  return updateWaypoint(req, res, {
+    name,
+    latitude,
+    longitude,
+    notes: notes || null,
+    image_url: image_url || null,
+    project_id,
+  });
 });
 
-// Delete a waypoint
-router.delete('/:id', async (req, res) => {
+// Update only the fields present in the request body
+router.patch('/:id', waypointWriteLimiter, parseCoordinates, validate({ params: idParam, body: patchSchema }), (req, res) => {
+  const fields = {};
+  for (const field of Object.keys(patchSchema)) {
+    if (req.body[field] !== undefined) {
+      fields[field] = req.body[field];
+    }
+  }
+  
+  if (Object.keys(fields).length === 0) {
+    return sendValidationError(res, [{ location: 'body', field: 'body', message: `must contain at least one of: ${Object.keys(patchSchema).join(', ')}` }]);
+  }
+  
+  return updateWaypoint(req, res, fields);
+});
+
+// Delete a waypoint (restorable until purged, see routes/waypointHistory.js)
+router.delete('/:id', waypointWriteLimiter, validate({ params: idParam }), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get waypoint to check if it's "Default Location" and if it has an image
-    const waypointResult = await pool.query(
-      'SELECT name, image_url FROM waypoints WHERE id = $1',
-      [id]
-    );
+    // Get waypoint to check access and if it has an image
+    const waypoint = await getAccessibleWaypoint(id, req.user.id);
     
-    if (waypointResult.rows.length === 0) {
+    if (!waypoint) {
       return res.status(404).json({ error: 'Waypoint not found' });
     }
     
-    // Prevent deletion of "Default Location"
-    const waypointName = waypointResult.rows[0].name;
-    if (waypointName && waypointName.trim().toLowerCase() === 'default location') {
-      return res.status(400).json({ error: 'Cannot delete "Default Location"' });
+    if (!canEditWaypoint(waypoint)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this waypoint' });
     }
     
-    // Delete image from Cloudinary if it exists
-    if (waypointResult.rows[0].image_url) {
-      try {
-        // Extract public_id from Cloudinary URL
-        const urlParts = waypointResult.rows[0].image_url.split('/');
-        const publicId = urlParts[urlParts.length - 1].split('.')[0];
-        await cloudinaryUpload.uploader.destroy(publicId);
-      } catch (cloudinaryError) {
-        console.error('Error deleting image from Cloudinary:', cloudinaryError);
-        // Continue with waypoint deletion even if image deletion fails
-      }
+    const version = expectedVersion(req, waypoint);
+    if (version === false) {
+      return sendPreconditionFailed(res, waypoint);
     }
     
-    // Delete waypoint from database
+    // Soft delete: the waypoint, its attachments and files are kept until it is
+    // purged after the retention window, and can be restored until then
     const result = await pool.query(
-      'DELETE FROM waypoints WHERE id = $1 RETURNING *',
-      [id]
+      `UPDATE waypoints
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, change_author = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL AND ($3::int IS NULL OR version = $3)
+       RETURNING *`,
+      [id, req.user.id, version]
     );
     
-    res.json({ message: 'Waypoint deleted successfully', waypoint: result.rows[0] });
+    // Someone else saved in between reading and deleting
+    if (result.rows.length === 0) {
+      const latest = await getAccessibleWaypoint(id, req.user.id);
+      return latest
+        ? sendPreconditionFailed(res, latest)
+        : res.status(404).json({ error: 'Waypoint not found' });
+    }
+    
+    res.json({
+      message: 'Waypoint deleted successfully',
+      waypoint: result.rows[0],
+      restorable_until: purgeDate(result.rows[0].deleted_at)
+    });
   } catch (error) {
     console.error('Error deleting waypoint:', error);
     res.status(500).json({ error: 'Failed to delete waypoint' });
   }
 });
 
+// List the users a waypoint is shared with (owner only)
+router.get('/:id/shares', validate({ params: idParam }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const waypoint = await getAccessibleWaypoint(id, req.user.id);
+    
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+    
+    if (waypoint.access !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can view who a waypoint is shared with' });
+    }
+    
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.email, u.full_name, ws.can_edit, ws.created_at
+       FROM waypoint_shares ws
+       JOIN users u ON u.id = ws.user_id
+       WHERE ws.waypoint_id = $1
+       ORDER BY ws.created_at ASC`,
+      [id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching waypoint shares:', error);
+    res.status(500).json({ error: 'Failed to fetch waypoint shares' });
+  }
+});
+
+// Share a waypoint with another user, or change their edit rights (owner only)
+router.post('/:id/shares', waypointWriteLimiter, validate({ params: idParam, body: shareSchema }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, can_edit } = req.body;
+    
+    const waypoint = await getAccessibleWaypoint(id, req.user.id);
+    
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+    
+    if (waypoint.access !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can share this waypoint' });
+    }
+    
+    const userResult = await pool.query(
+      'SELECT id, email, full_name FROM users WHERE email = $1',
+      [email.trim().toLowerCase()]
+    );
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const shareUser = userResult.rows[0];
+    
+    if (shareUser.id === req.user.id) {
+      return res.status(400).json({ error: 'You already own this waypoint' });
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO waypoint_shares (waypoint_id, user_id, can_edit)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (waypoint_id, user_id) DO UPDATE SET can_edit = EXCLUDED.can_edit
+       RETURNING can_edit, created_at`,
+      [id, shareUser.id, can_edit === true]
+    );
+    
+    res.status(201).json({
+      user_id: shareUser.id,
+      email: shareUser.email,
+      full_name: shareUser.full_name,
+      ...result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error sharing waypoint:', error);
+    res.status(500).json({ error: 'Failed to share waypoint' });
+  }
+});
+
+// Stop sharing a waypoint with a user (owner only, or the user leaving the share)
+router.delete('/:id/shares/:userId', waypointWriteLimiter, validate({ params: shareParams }), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const waypoint = await getAccessibleWaypoint(id, req.user.id);
+    
+    if (!waypoint) {
+      return res.status(404).json({ error: 'Waypoint not found' });
+    }
+    
+    if (waypoint.access !== 'owner' && String(req.user.id) !== String(userId)) {
+      return res.status(403).json({ error: 'Only the owner can change who a waypoint is shared with' });
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM waypoint_shares WHERE waypoint_id = $1 AND user_id = $2 RETURNING user_id',
+      [id, userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    
+    res.json({ message: 'Share removed successfully' });
+  } catch (error) {
+    console.error('Error removing waypoint share:', error);
+    res.status(500).json({ error: 'Failed to remove waypoint share' });
+  }
+});
+
 export default router;
 
@@ -7,6 +7,16 @@ import { dirname, join } from 'path';
 import waypointsRoutes from './routes/waypoints.js';
 import uploadRoutes from './routes/upload.js';
 import authRoutes from './routes/auth.js';
+import projectsRoutes from './routes/projects.js';
+import tracksRoutes from './routes/tracks.js';
+import surveyFormsRoutes from './routes/surveyForms.js';
+import geofencesRoutes from './routes/geofences.js';
+import liveRoutes from './routes/live.js';
+import routePlansRoutes from './routes/routePlans.js';
+import elevationRoutes from './routes/elevation.js';
+import adminRoutes from './routes/admin.js';
+import preferencesRoutes from './routes/preferences.js';
+import { LOCAL_MEDIA_ROUTE, localStorageDir } from './services/storage/local.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,6 +27,12 @@ dotenv.config({ path: join(__dirname, '.env') });
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy (Vercel, nginx), trust its X-Forwarded-For header so
+// req.ip is the real client address used for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 // CORS configuration - allow both production and development origins
 const allowedOrigins = [
@@ -39,9 +55,9 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Set-Cookie'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['Set-Cookie', 'ETag', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
 }));
@@ -54,8 +70,8 @@ app.options('*', (req, res) => {
   const origin = req.headers.origin;
   if (allowedOrigins.includes(origin)) {
     res.header('Access-Control-Allow-Origin', origin);
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, If-Match, If-None-Match');
     res.header('Access-Control-Allow-Credentials', 'true');
   }
   res.sendStatus(204);
@@ -65,6 +81,20 @@ app.options('*', (req, res) => {
 app.use('/auth', authRoutes);
 app.use('/api/waypoints', waypointsRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/projects', projectsRoutes);
+app.use('/api/tracks', tracksRoutes);
+app.use('/api/forms', surveyFormsRoutes);
+app.use('/api/geofences', geofencesRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/plans', routePlansRoutes);
+app.use('/api/elevation', elevationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/preferences', preferencesRoutes);
+
+// Serve uploaded files when they are stored on local disk
+if (process.env.STORAGE_PROVIDER === 'local') {
+  app.use(LOCAL_MEDIA_ROUTE, express.static(localStorageDir()));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -80,6 +110,19 @@ app.use((err, req, res, next) => {
     return res.status(403).json({ error: 'CORS: Origin not allowed' });
   }
   
+  // Handle malformed JSON bodies
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ location: 'body', field: null, message: 'must be valid JSON' }]
+    });
+  }
+  
+  // Handle rejected or oversized file uploads
+  if (err.name === 'MulterError' || err.isUploadError) {
+    return res.status(400).json({ error: err.message });
+  }
+  
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
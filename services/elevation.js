@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fromFile } from 'geotiff';
+
+// Elevation and bathymetry from a local raster grid, chosen with ELEVATION_GRID_PATH.
+// Supported formats, georeferenced in WGS84 longitude/latitude:
+//   .tif / .tiff   GeoTIFF (first band), read a few cells at a time
+//   .asc           Esri ASCII grid, loaded into memory
+// Values are metres above the vertical datum; a bathymetry grid holding depths
+// (positive down) is converted with ELEVATION_GRID_DEPTH=true, so water depth
+// comes out as negative elevation. Cells equal to the grid's NODATA value,
+// and points outside the grid, have no elevation (null).
+
+const ASCII_HEADER_KEYS = ['ncols', 'nrows', 'xllcorner', 'yllcorner', 'xllcenter', 'yllcenter', 'cellsize', 'nodata_value'];
+
+let gridPromise = null;
+
+export const isElevationConfigured = () => Boolean(process.env.ELEVATION_GRID_PATH);
+
+const loadAsciiGrid = async (file) => {
+  const text = await fs.readFile(file, 'utf8');
+  const tokens = text.split(/\s+/).filter(Boolean);
+
+  const header = {};
+  let index = 0;
+  while (index < tokens.length && ASCII_HEADER_KEYS.includes(tokens[index].toLowerCase())) {
+    header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+    index += 2;
+  }
+
+  const { ncols, nrows, cellsize } = header;
+  if (!ncols || !nrows || !cellsize) {
+    throw new Error(`${file} is not an ASCII grid: ncols, nrows and cellsize are required`);
+  }
+  if (tokens.length - index < ncols * nrows) {
+    throw new Error(`${file} has fewer than ${ncols * nrows} values`);
+  }
+
+  const values = Float64Array.from(tokens.slice(index, index + ncols * nrows), Number);
+
+  // Corner coordinates name the outer edge of the lower left cell, center
+  // coordinates its middle
+  const west = header.xllcorner ?? header.xllcenter - cellsize / 2;
+  const south = header.yllcorner ?? header.yllcenter - cellsize / 2;
+
+  return {
+    width: ncols,
+    height: nrows,
+    west,
+    north: south + nrows * cellsize,
+    cellWidth: cellsize,
+    cellHeight: cellsize,
+    nodata: header.nodata_value ?? -9999,
+    // Rows run from north to south
+    readWindow: async (left, top, right, bottom) => {
+      const window = [];
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          window.push(values[row * ncols + col]);
+        }
+      }
+      return window;
+    },
+  };
+};
+
+const loadGeoTiff = async (file) => {
+  const tiff = await fromFile(file);
+  const image = await tiff.getImage();
+  const [west, south, east, north] = image.getBoundingBox();
+  const width = image.getWidth();
+  const height = image.getHeight();
+
+  return {
+    width,
+    height,
+    west,
+    north,
+    cellWidth: (east - west) / width,
+    cellHeight: (north - south) / height,
+    nodata: image.getGDALNoData(),
+    readWindow: async (left, top, right, bottom) => {
+      const [band] = await image.readRasters({ window: [left, top, right + 1, bottom + 1], samples: [0] });
+      return Array.from(band);
+    },
+  };
+};
+
+// Load the configured grid once; null when none is configured
+const getGrid = () => {
+  if (!isElevationConfigured()) return Promise.resolve(null);
+
+  if (!gridPromise) {
+    const file = path.resolve(process.env.ELEVATION_GRID_PATH);
+    const extension = path.extname(file).toLowerCase();
+
+    gridPromise = (extension === '.asc' ? loadAsciiGrid(file) : loadGeoTiff(file))
+      .then((grid) => {
+        console.log(`Loaded elevation grid ${file} (${grid.width} x ${grid.height} cells)`);
+        return grid;
+      });
+    gridPromise.catch(() => {
+      gridPromise = null;
+    });
+  }
+  return gridPromise;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Elevation in metres at a point, interpolated bilinearly between the four
+// nearest cell centres. Near NODATA cells the nearest cell's value is used.
+// Returns null outside the grid, on NODATA or when no grid is configured.
+export const getElevation = async (latitude, longitude) => {
+  const grid = await getGrid();
+  if (!grid) return null;
+
+  // Position in cells from the north-west corner
+  const x = (Number(longitude) - grid.west) / grid.cellWidth;
+  const y = (grid.north - Number(latitude)) / grid.cellHeight;
+  if (!(x >= 0 && x <= grid.width && y >= 0 && y <= grid.height)) return null;
+
+  // Cell centres lie at half-cell offsets
+  const cx = clamp(x - 0.5, 0, grid.width - 1);
+  const cy = clamp(y - 0.5, 0, grid.height - 1);
+  const left = Math.floor(cx);
+  const top = Math.floor(cy);
+  const right = Math.min(left + 1, grid.width - 1);
+  const bottom = Math.min(top + 1, grid.height - 1);
+
+  const window = await grid.readWindow(left, top, right, bottom);
+  const columns = right - left + 1;
+  const cell = (col, row) => {
+    const value = window[(row - top) * columns + (col - left)];
+    return value === grid.nodata || !Number.isFinite(value) ? null : value;
+  };
+
+  const fx = cx - left;
+  const fy = cy - top;
+  const corners = [cell(left, top), cell(right, top), cell(left, bottom), cell(right, bottom)];
+
+  let value;
+  if (corners.every((corner) => corner !== null)) {
+    const [topLeft, topRight, bottomLeft, bottomRight] = corners;
+    value = (topLeft * (1 - fx) + topRight * fx) * (1 - fy) + (bottomLeft * (1 - fx) + bottomRight * fx) * fy;
+  } else {
+    value = cell(fx < 0.5 ? left : right, fy < 0.5 ? top : bottom);
+    if (value === null) return null;
+  }
+
+  return process.env.ELEVATION_GRID_DEPTH === 'true' ? -value : value;
+};
+
+// Elevation for a waypoint being saved. A grid that fails to load or read
+// doesn't stop the waypoint from being saved; it is stored without elevation.
+export const lookupWaypointElevation = async (latitude, longitude) => {
+  try {
+    return await getElevation(latitude, longitude);
+  } catch (error) {
+    console.error('Error looking up elevation:', error);
+    return null;
+  }
+};
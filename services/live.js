@@ -0,0 +1,210 @@
+import pool from '../database/connection.js';
+
+// Real-time project events for connected clients (see routes/live.js).
+//
+// Changes are announced by database triggers with NOTIFY on LIVE_CHANNEL (see
+// database/live_schema.sql), so every write path and every server instance
+// produces them. Each instance holds one connection that LISTENs and forwards
+// notifications to its subscribers as:
+//   waypoint  { action: 'create' | 'update' | 'restore', waypoint }
+//             { action: 'delete', id, version }
+//   position  { user_id, latitude, longitude, accuracy, speed, heading, recorded_at, stale_at }
+//   position_removed  { user_id, reason: 'stopped' | 'stale' }
+//   resync    {}  events may have been missed, reload the project's data
+
+export const LIVE_CHANNEL = 'live_events';
+
+// Positions older than this are dropped from the latest-position list
+export const POSITION_STALE_SECONDS = Number(process.env.LIVE_POSITION_STALE_SECONDS) || 300;
+
+const RECONNECT_DELAY_MS = 5000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+// project id -> Set of send(event, data) functions
+const subscribers = new Map();
+
+// project id -> Map of user id -> time (ms) their position goes stale
+const positionExpiry = new Map();
+
+let listener = null;
+let sweep = null;
+
+export const staleAt = (recordedAt) =>
+  new Date(new Date(recordedAt).getTime() + POSITION_STALE_SECONDS * 1000);
+
+const broadcast = (projectId, event, data) => {
+  for (const send of subscribers.get(Number(projectId)) || []) {
+    send(event, data);
+  }
+};
+
+const trackPosition = (projectId, userId, recordedAt) => {
+  if (!positionExpiry.has(projectId)) {
+    positionExpiry.set(projectId, new Map());
+  }
+  positionExpiry.get(projectId).set(userId, staleAt(recordedAt).getTime());
+};
+
+const forgetPosition = (projectId, userId) => {
+  positionExpiry.get(projectId)?.delete(userId);
+};
+
+const handleWaypoint = async ({ action, id, project_id, previous_project_id, version }) => {
+  if (previous_project_id && subscribers.has(previous_project_id)) {
+    broadcast(previous_project_id, 'waypoint', { action: 'delete', id, version });
+  }
+  if (!project_id || !subscribers.has(project_id)) return;
+
+  if (action === 'delete') {
+    broadcast(project_id, 'waypoint', { action, id, version });
+    return;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM waypoints WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL',
+    [id, project_id]
+  );
+  if (result.rows.length > 0) {
+    broadcast(project_id, 'waypoint', { action, waypoint: result.rows[0] });
+  }
+};
+
+const handlePosition = ({ action, project_id, user_id, ...position }) => {
+  if (!subscribers.has(project_id)) return;
+
+  if (action === 'remove') {
+    forgetPosition(project_id, user_id);
+    broadcast(project_id, 'position_removed', { user_id, reason: 'stopped' });
+    return;
+  }
+
+  trackPosition(project_id, user_id, position.recorded_at);
+  broadcast(project_id, 'position', { user_id, ...position, stale_at: staleAt(position.recorded_at) });
+};
+
+const handleNotification = async ({ channel, payload }) => {
+  if (channel !== LIVE_CHANNEL) return;
+
+  try {
+    const message = JSON.parse(payload);
+    if (message.type === 'waypoint') {
+      await handleWaypoint(message);
+    } else if (message.type === 'position') {
+      handlePosition(message);
+    }
+  } catch (error) {
+    console.error('Error handling live event:', error);
+  }
+};
+
+// Tell subscribers about positions that haven't been updated in time
+const sweepStalePositions = () => {
+  const now = Date.now();
+  for (const [projectId, expiries] of positionExpiry) {
+    for (const [userId, expiresAt] of expiries) {
+      if (expiresAt <= now) {
+        expiries.delete(userId);
+        broadcast(projectId, 'position_removed', { user_id: userId, reason: 'stale' });
+      }
+    }
+  }
+};
+
+// Start listening for notifications, once per process. The connection is
+// held for as long as the process runs, so it takes one slot of the pool.
+const startListening = () => {
+  if (listener) return listener;
+
+  listener = (async () => {
+    const client = await pool.connect();
+
+    let failed = false;
+    client.on('notification', handleNotification);
+    client.on('error', (error) => {
+      console.error('Live event listener error:', error);
+      if (failed) return;
+      failed = true;
+      client.release(error);
+      listener = null;
+
+      // Reconnect while anyone is subscribed; events sent in the meantime are lost
+      setTimeout(() => {
+        if (subscribers.size === 0) return;
+        startListening()
+          .then(() => {
+            for (const projectId of subscribers.keys()) {
+              broadcast(projectId, 'resync', {});
+            }
+          })
+          .catch((reconnectError) => console.error('Error reconnecting live event listener:', reconnectError));
+      }, RECONNECT_DELAY_MS);
+    });
+
+    await client.query(`LISTEN ${LIVE_CHANNEL}`);
+
+    if (!sweep) {
+      sweep = setInterval(sweepStalePositions, SWEEP_INTERVAL_MS);
+      sweep.unref();
+    }
+    return client;
+  })();
+
+  listener.catch(() => {
+    listener = null;
+  });
+  return listener;
+};
+
+// Latest positions in a project that aren't stale yet, with each member's name
+export const getLatestPositions = async (projectId) => {
+  const result = await pool.query(
+    `SELECT mp.user_id, u.email AS user_email, u.full_name AS user_full_name,
+            mp.latitude, mp.longitude, mp.accuracy, mp.speed, mp.heading, mp.recorded_at
+     FROM member_positions mp
+     JOIN users u ON u.id = mp.user_id
+     -- Members who left the project are no longer shown
+     JOIN project_members pm ON pm.project_id = mp.project_id AND pm.user_id = mp.user_id
+     WHERE mp.project_id = $1
+       AND mp.recorded_at > CURRENT_TIMESTAMP - make_interval(secs => $2)
+     ORDER BY mp.recorded_at DESC`,
+    [projectId, POSITION_STALE_SECONDS]
+  );
+
+  return result.rows.map((position) => ({ ...position, stale_at: staleAt(position.recorded_at) }));
+};
+
+// Subscribe to a project's events with send(event, data). Resolves with the
+// project's current positions and a function that ends the subscription.
+export const subscribe = async (projectId, send) => {
+  await startListening();
+
+  const id = Number(projectId);
+  if (!subscribers.has(id)) {
+    subscribers.set(id, new Set());
+  }
+  subscribers.get(id).add(send);
+
+  const unsubscribe = () => {
+    const projectSubscribers = subscribers.get(id);
+    if (!projectSubscribers) return;
+    projectSubscribers.delete(send);
+    if (projectSubscribers.size === 0) {
+      subscribers.delete(id);
+      positionExpiry.delete(id);
+    }
+  };
+
+  // Read positions after subscribing, so none reported in between are missed
+  let positions;
+  try {
+    positions = await getLatestPositions(id);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+  for (const position of positions) {
+    trackPosition(id, position.user_id, position.recorded_at);
+  }
+
+  return { positions, unsubscribe };
+};
@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import nodemailer from 'nodemailer';
+
+// Pluggable outgoing mail. The transport is chosen by MAIL_TRANSPORT:
+//   smtp     send through SMTP_URL with nodemailer (default)
+//   console  log the recipient and subject to stdout, never the text, which
+//            holds account token links; refused in production
+//   file     append messages as JSON lines to MAIL_OUTBOX_FILE
+//   memory   keep messages in `outbox` (for tests)
+// A transport is an object with `send(message)`, where message is
+// { from, to, subject, text, html }.
+
+export const outbox = [];
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    },
+  },
+  file: {
+    async send(message) {
+      const file = process.env.MAIL_OUTBOX_FILE || 'mail-outbox.jsonl';
+      await fs.appendFile(file, `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`);
+    },
+  },
+  memory: {
+    async send(message) {
+      outbox.push({ ...message, sent_at: new Date() });
+    },
+  },
+  smtp: {
+    transporter: null,
+    async send(message) {
+      if (!this.transporter) {
+        if (!process.env.SMTP_URL) {
+          throw new Error('SMTP_URL is not set in environment variables');
+        }
+        this.transporter = nodemailer.createTransport(process.env.SMTP_URL);
+      }
+      await this.transporter.sendMail(message);
+    },
+  },
+};
+
+let customTransport = null;
+
+// Replace the configured transport, e.g. with a stub in tests
+export const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+  const name = process.env.MAIL_TRANSPORT || 'smtp';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT "console" is not available in production');
+  }
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Terr-Aqua Survey Platform <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  };
+  await getTransport().send(message);
+};
+
+// Link to a frontend page, e.g. frontendLink('/reset-password', { token })
+export const frontendLink = (path, query = {}) => {
+  const url = new URL(path, process.env.FRONTEND_URL || 'http://localhost:5173');
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
@@ -0,0 +1,58 @@
+// Counter stores for rate limiting.
+//
+// A store keeps fixed-window counters and must provide:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//       add one hit, starting a new window if the current one has ended
+//   get(key) -> Promise<{ count, resetAt } | null>
+//   reset(key) -> Promise<void>
+// The in-memory store suits a single server instance; a shared store
+// (e.g. Redis) can be plugged in with setRateLimitStore() when scaling out.
+
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so memory doesn't grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      let entry = current(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = current(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+export const getRateLimitStore = () => store;
+
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
@@ -0,0 +1,64 @@
+import cloudinary, { uploadBuffer } from '../../config/cloudinary.js';
+
+// Cloudinary storage. Keys have the form `<resource_type>:<public_id>`, since
+// Cloudinary needs both to delete a file.
+
+const toKey = (resourceType, publicId) => `${resourceType}:${publicId}`;
+
+const fromKey = (key) => {
+  const separator = key.indexOf(':');
+  if (separator === -1) {
+    return { resourceType: 'image', publicId: key };
+  }
+  return { resourceType: key.slice(0, separator), publicId: key.slice(separator + 1) };
+};
+
+// Work out the key of a file from its delivery URL, e.g.
+// https://res.cloudinary.com/<cloud>/image/upload/q_auto/v1712345678/navigation-tracking/abc.jpg
+// -> image:navigation-tracking/abc. Used by database/backfill_media.js for files
+// stored before keys were recorded.
+export const keyFromUrl = (url) => {
+  const match = /\/(image|video|raw)\/upload\/(.+)$/.exec(String(url).split('?')[0]);
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+  const segments = path.split('/');
+  const versionIndex = segments.findIndex((segment) => /^v\d+$/.test(segment));
+  const idSegments = versionIndex === -1 ? segments : segments.slice(versionIndex + 1);
+  let publicId = idSegments.join('/');
+
+  // Raw files keep their extension in the public id
+  if (resourceType !== 'raw') {
+    publicId = publicId.replace(/\.[^./]+$/, '');
+  }
+
+  return publicId ? toKey(resourceType, publicId) : null;
+};
+
+export default {
+  name: 'cloudinary',
+
+  async put(buffer, { folder, optimizeImage = false }) {
+    const options = {
+      folder,
+      resource_type: optimizeImage ? 'image' : 'auto',
+    };
+    if (optimizeImage) {
+      options.transformation = [
+        { quality: 'auto' },
+        { fetch_format: 'auto' }
+      ];
+    }
+
+    const result = await uploadBuffer(buffer, options);
+    return {
+      key: toKey(result.resource_type, result.public_id),
+      url: result.secure_url,
+    };
+  },
+
+  async delete(key) {
+    const { resourceType, publicId } = fromKey(key);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+  },
+};
@@ -0,0 +1,26 @@
+import cloudinaryStorage from './cloudinary.js';
+import localStorage from './local.js';
+
+// Storage providers for uploaded media, chosen with STORAGE_PROVIDER.
+// A provider implements:
+//   put(buffer, { folder, filename, mimeType, optimizeImage }) -> Promise<{ key, url }>
+//   delete(key) -> Promise<void>
+// The key identifies the file within its provider and is what deletes use.
+
+const providers = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+export const getStorageProvider = (name = process.env.STORAGE_PROVIDER || 'cloudinary') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider "${name}"`);
+  }
+  return provider;
+};
+
+// Make another provider available, e.g. an S3-compatible one
+export const registerStorageProvider = (name, provider) => {
+  providers[name] = provider;
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local filesystem storage, for offline development, tests and self-hosting.
+// Files are written below STORAGE_LOCAL_DIR and served by server.js at /media.
+// Keys are paths relative to that directory.
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const LOCAL_MEDIA_ROUTE = '/media';
+
+export const localStorageDir = () =>
+  path.resolve(serverDir, process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+// Resolve a key to a path, refusing anything outside the storage directory
+const resolveKey = (key) => {
+  const root = localStorageDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const publicUrl = (key) => {
+  const base = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+  return `${base}${LOCAL_MEDIA_ROUTE}/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+export default {
+  name: 'local',
+
+  async put(buffer, { folder, filename = '' }) {
+    const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const key = `${folder}/${crypto.randomUUID()}${extension}`;
+    const filePath = resolveKey(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: publicUrl(key) };
+  },
+
+  async delete(key) {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+};
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DATUM_NAMES,
+  convertDatum,
+  latitudeBand,
+  utmZone,
+  toUTM,
+  fromUTM,
+  formatUTM,
+  toMGRS,
+  fromMGRS,
+  parseDMS,
+  describeCoordinates,
+} from '../utils/coordinates.js';
+import { haversineDistance } from '../utils/geo.js';
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('parseDMS reads degrees, minutes and seconds with a hemisphere', () => {
+  close(parseDMS('26°30\'59.95"N', 'latitude'), 26.516653, 1e-6);
+  close(parseDMS('26 30 59.95 N', 'latitude'), 26.516653, 1e-6);
+  close(parseDMS('N26 30.9992', 'latitude'), 26.516653, 1e-6);
+  close(parseDMS('80d13m53.4sE', 'longitude'), 80.2315, 1e-9);
+  close(parseDMS('80:13:53.4', 'longitude'), 80.2315, 1e-9);
+  close(parseDMS('151°12\'E', 'longitude'), 151.2, 1e-9);
+  close(parseDMS('80°13′53.4″W', 'longitude'), -80.2315, 1e-9);
+  assert.equal(parseDMS('-80.2315', 'longitude'), -80.2315);
+});
+
+test('parseDMS reads a final S as the southern hemisphere', () => {
+  assert.equal(parseDMS('12.5S', 'latitude'), -12.5);
+  close(parseDMS('33°52\'S', 'latitude'), -33.866667, 1e-6);
+  close(parseDMS('33 52 10 S', 'latitude'), -33.869444, 1e-6);
+});
+
+test('parseDMS rejects text that is not a coordinate', () => {
+  for (const [text, axis] of [
+    ['26°30\'N', 'longitude'],
+    ['80°E', 'latitude'],
+    ['N26°30\'S', 'latitude'],
+    ['-26°30\'S', 'latitude'],
+    ['26°60\'N', 'latitude'],
+    ['26°30\'60"N', 'latitude'],
+    ['26.5°30\'N', 'latitude'],
+    ['26°30.5\'10"N', 'latitude'],
+    ['north', 'latitude'],
+    ['', 'latitude'],
+  ]) {
+    assert.equal(parseDMS(text, axis), null, text);
+  }
+});
+
+test('latitudeBand and utmZone follow the UTM grid and its exceptions', () => {
+  assert.equal(latitudeBand(26.5), 'R');
+  assert.equal(latitudeBand(-33.9), 'H');
+  assert.equal(latitudeBand(83.9), 'X');
+  assert.equal(latitudeBand(-80.5), null);
+  assert.equal(latitudeBand(84.5), null);
+
+  assert.equal(utmZone(26.5, 80.2), 44);
+  assert.equal(utmZone(0, 180), 1);
+  // Southwest Norway and Svalbard
+  assert.equal(utmZone(60, 5), 32);
+  assert.equal(utmZone(78, 15), 33);
+});
+
+test('toUTM and fromUTM round-trip positions', () => {
+  const utm = toUTM(26.516654, 80.231507);
+  assert.equal(utm.zone, 44);
+  assert.equal(utm.band, 'R');
+  assert.equal(utm.hemisphere, 'N');
+  assert.equal(formatUTM(utm), '44R 423429 2933131');
+
+  for (const [latitude, longitude] of [[26.516654, 80.231507], [-33.8688, 151.2093], [64.1, -21.9], [-79.9, 0.5]]) {
+    const position = fromUTM(toUTM(latitude, longitude));
+    close(position.latitude, latitude, 1e-8);
+    close(position.longitude, longitude, 1e-8);
+  }
+});
+
+test('toUTM uses the southern false northing', () => {
+  const utm = toUTM(-33.8688, 151.2093);
+  assert.equal(utm.hemisphere, 'S');
+  assert.equal(formatUTM(utm), '56H 334369 6250948');
+});
+
+test('toMGRS and fromMGRS round-trip to the metre', () => {
+  assert.equal(toMGRS(26.516654, 80.231507), '44R MQ 23429 33131');
+
+  for (const [latitude, longitude] of [[26.516654, 80.231507], [-33.8688, 151.2093], [51.4778, -0.0015]]) {
+    const position = fromMGRS(toMGRS(latitude, longitude));
+    assert.ok(haversineDistance(latitude, longitude, position.latitude, position.longitude) < 2);
+  }
+
+  const compact = fromMGRS('44rmq2342933131');
+  const spaced = fromMGRS('44R MQ 23429 33131');
+  assert.deepEqual(compact, spaced);
+});
+
+test('fromMGRS reads lower precision references as the square\'s corner', () => {
+  const square = fromMGRS('44R MQ 2 3');
+  const metre = fromMGRS('44R MQ 20000 30000');
+  close(square.latitude, metre.latitude, 1e-9);
+  close(square.longitude, metre.longitude, 1e-9);
+});
+
+test('fromMGRS rejects malformed references', () => {
+  assert.equal(fromMGRS('44R MQ 234 3313'), null);
+  assert.equal(fromMGRS('61R MQ 23429 33131'), null);
+  assert.equal(fromMGRS('44R AQ 23429 33131'), null);
+  assert.equal(fromMGRS('not a grid reference'), null);
+});
+
+test('UTM and MGRS are null outside 80°S to 84°N', () => {
+  assert.equal(toUTM(85, 10), null);
+  assert.equal(toUTM(-80.1, 10), null);
+  assert.equal(toMGRS(89.9, 0), null);
+
+  const polar = describeCoordinates(-85, 40, ['utm', 'mgrs', 'dms']);
+  assert.equal(polar.utm, null);
+  assert.equal(polar.mgrs, null);
+  assert.equal(polar.dms.latitude, '85°00\'00.00"S');
+});
+
+test('convertDatum shifts positions between datums and back', () => {
+  assert.ok(DATUM_NAMES.includes('OSGB36'));
+  assert.deepEqual(convertDatum(51.5, -0.1, 'WGS84', 'WGS84'), { latitude: 51.5, longitude: -0.1 });
+
+  // Greenwich's OSGB36 position lies about 110 m from its WGS84 one
+  const osgb = convertDatum(51.4778, -0.0015, 'WGS84', 'OSGB36');
+  const shift = haversineDistance(51.4778, -0.0015, osgb.latitude, osgb.longitude);
+  assert.ok(shift > 90 && shift < 130, `shift of ${shift} m`);
+
+  const back = convertDatum(osgb.latitude, osgb.longitude, 'OSGB36', 'WGS84');
+  close(back.latitude, 51.4778, 1e-6);
+  close(back.longitude, -0.0015, 1e-6);
+});
+
+test('describeCoordinates adds the requested notations', () => {
+  const result = describeCoordinates('26.516654', '80.231507', ['utm', 'mgrs', 'dms']);
+  assert.equal(result.datum, 'WGS84');
+  assert.equal(result.utm.text, '44R 423429 2933131');
+  assert.equal(result.mgrs, '44R MQ 23429 33131');
+  assert.deepEqual(result.dms, { latitude: '26°30\'59.95"N', longitude: '80°13\'53.43"E' });
+
+  assert.deepEqual(Object.keys(describeCoordinates(0, 0, [])), ['datum', 'latitude', 'longitude']);
+});
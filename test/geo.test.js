@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { haversineDistance, initialBearing, samplePath, computeTrackStats, formatDMS } from '../utils/geo.js';
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('haversineDistance measures great-circle distances', () => {
+  assert.equal(haversineDistance(26.5, 80.2, 26.5, 80.2), 0);
+  // One degree of latitude is about 111.2 km on the mean sphere
+  close(haversineDistance(0, 0, 1, 0), 111195, 1);
+  // London to Paris
+  close(haversineDistance(51.5074, -0.1278, 48.8566, 2.3522), 343556, 100);
+  // Across the antimeridian the short way round
+  close(haversineDistance(0, 179.5, 0, -179.5), 111195, 1);
+});
+
+test('initialBearing points clockwise from true north', () => {
+  close(initialBearing(0, 0, 1, 0), 0, 1e-9);
+  close(initialBearing(0, 0, 0, 1), 90, 1e-9);
+  close(initialBearing(0, 0, -1, 0), 180, 1e-9);
+  close(initialBearing(0, 0, 0, -1), 270, 1e-9);
+});
+
+test('samplePath spaces samples evenly from the first to the last vertex', () => {
+  const samples = samplePath([
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 1 },
+    { latitude: '0', longitude: '2' },
+  ], 5);
+
+  assert.equal(samples.length, 5);
+  assert.deepEqual(samples[0], { distance_m: 0, latitude: 0, longitude: 0 });
+  close(samples[2].longitude, 1, 1e-9);
+  close(samples[3].longitude, 1.5, 1e-9);
+  close(samples[4].longitude, 2, 1e-9);
+  close(samples[4].distance_m, 2 * 111195, 2);
+});
+
+test('samplePath returns the first vertex for a single sample', () => {
+  assert.deepEqual(samplePath([{ latitude: 1, longitude: 2 }, { latitude: 3, longitude: 4 }], 1), [
+    { distance_m: 0, latitude: 1, longitude: 2 },
+  ]);
+});
+
+test('computeTrackStats only accumulates distance and elevation within a segment', () => {
+  const stats = computeTrackStats([
+    { segment: 0, latitude: 0, longitude: 0, elevation: 10, recorded_at: '2024-01-01T00:00:00Z' },
+    { segment: 0, latitude: 0, longitude: 0.01, elevation: 15, recorded_at: '2024-01-01T00:10:00Z' },
+    { segment: 1, latitude: 1, longitude: 1, elevation: 100, recorded_at: '2024-01-01T01:00:00Z' },
+    { segment: 1, latitude: 1, longitude: 1.01, elevation: 90, recorded_at: '2024-01-01T01:10:00Z' },
+  ]);
+
+  assert.equal(stats.point_count, 4);
+  close(stats.distance_m, 1112 + 1112, 2);
+  assert.equal(stats.duration_s, 70 * 60);
+  assert.equal(stats.elevation_gain_m, 5);
+  assert.equal(stats.elevation_loss_m, 10);
+  assert.deepEqual(
+    [stats.min_latitude, stats.min_longitude, stats.max_latitude, stats.max_longitude],
+    [0, 0, 1, 1.01]
+  );
+});
+
+test('computeTrackStats skips elevation changes next to points without elevation', () => {
+  const stats = computeTrackStats([
+    { segment: 0, latitude: 0, longitude: 0, elevation: 10, recorded_at: '2024-01-01T00:00:00Z' },
+    { segment: 0, latitude: 0, longitude: 0, elevation: null, recorded_at: '2024-01-01T00:01:00Z' },
+    { segment: 0, latitude: 0, longitude: 0, elevation: 50, recorded_at: '2024-01-01T00:02:00Z' },
+  ]);
+
+  assert.equal(stats.elevation_gain_m, 0);
+  assert.equal(stats.elevation_loss_m, 0);
+});
+
+test('computeTrackStats of no points is empty', () => {
+  const stats = computeTrackStats([]);
+  assert.equal(stats.point_count, 0);
+  assert.equal(stats.distance_m, 0);
+  assert.equal(stats.min_latitude, null);
+});
+
+test('formatDMS writes degrees, minutes and seconds with a hemisphere', () => {
+  assert.equal(formatDMS(26.516654, 'latitude'), '26°30\'59.95"N');
+  assert.equal(formatDMS(-80.231507, 'longitude'), '80°13\'53.43"W');
+  assert.equal(formatDMS(-0.5, 'latitude'), '0°30\'00.00"S');
+  // 59.999" rounds into the next minute
+  assert.equal(formatDMS(10.9999999, 'latitude'), '11°00\'00.00"N');
+  assert.equal(formatDMS('not a number', 'latitude'), '');
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGPX, parseKML, parseGeoJSON, detectFormat, MAX_IMPORT_FEATURES } from '../utils/geoFormats.js';
+
+const feature = (properties, coordinates = [80.231507, 26.516654]) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates },
+  properties,
+});
+
+const collection = (...features) => JSON.stringify({ type: 'FeatureCollection', features });
+
+test('parseGPX reads waypoints with their extensions', () => {
+  const { waypoints, rejected } = parseGPX(`<?xml version="1.0"?>
+    <gpx version="1.1" xmlns:ta="urn:example">
+      <wpt lat="26.516654" lon="80.231507">
+        <name> Well 1 </name>
+        <desc>Hand pump</desc>
+        <time>2024-03-01T10:00:00Z</time>
+        <link href="https://example.com/well.jpg"/>
+      </wpt>
+      <wpt lat="26.5" lon="80.2">
+        <name>Well 2</name>
+        <extensions><ta:image_url>http://example.com/2.jpg</ta:image_url></extensions>
+      </wpt>
+    </gpx>`);
+
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(waypoints, [
+    {
+      name: 'Well 1',
+      latitude: 26.516654,
+      longitude: 80.231507,
+      notes: 'Hand pump',
+      image_url: 'https://example.com/well.jpg',
+      created_at: '2024-03-01T10:00:00.000Z',
+    },
+    { name: 'Well 2', latitude: 26.5, longitude: 80.2, notes: null, image_url: 'http://example.com/2.jpg', created_at: null },
+  ]);
+});
+
+test('parseGPX rejects invalid waypoints by index', () => {
+  const { waypoints, rejected } = parseGPX(`<gpx>
+    <wpt lat="95" lon="80"><name>North of the pole</name></wpt>
+    <wpt lat="10" lon="80"></wpt>
+    <wpt lat="10" lon="80"><name>Good</name></wpt>
+  </gpx>`);
+
+  assert.equal(waypoints.length, 1);
+  assert.deepEqual(rejected, [
+    { index: 0, name: 'North of the pole', error: 'Latitude must be a number between -90 and 90' },
+    { index: 1, name: null, error: 'Name is required' },
+  ]);
+});
+
+test('parseGPX rejects files that are not GPX', () => {
+  assert.throws(() => parseGPX('<kml></kml>'), /Not a GPX file/);
+});
+
+test('parseKML reads Point placemarks in nested folders', () => {
+  const { waypoints, rejected } = parseKML(`<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document><Folder>
+      <Placemark>
+        <name>Station</name>
+        <description>Gauge</description>
+        <Point><coordinates>80.231507,26.516654,0</coordinates></Point>
+        <ExtendedData><Data name="image_url"><value>https://example.com/s.jpg</value></Data></ExtendedData>
+      </Placemark>
+      <Placemark>
+        <name>Boundary</name>
+        <LineString><coordinates>80,26 81,27</coordinates></LineString>
+      </Placemark>
+    </Folder></Document>
+  </kml>`);
+
+  assert.deepEqual(waypoints, [{
+    name: 'Station',
+    latitude: 26.516654,
+    longitude: 80.231507,
+    notes: 'Gauge',
+    image_url: 'https://example.com/s.jpg',
+    created_at: null,
+  }]);
+  assert.deepEqual(rejected, [{ index: 1, name: 'Boundary', error: 'Only Point placemarks are supported' }]);
+});
+
+test('parseGeoJSON reads a single Feature', () => {
+  const { waypoints } = parseGeoJSON(JSON.stringify(feature({ name: 'Spring', description: 'Seasonal' })));
+  assert.deepEqual(waypoints, [{
+    name: 'Spring',
+    latitude: 26.516654,
+    longitude: 80.231507,
+    notes: 'Seasonal',
+    image_url: null,
+    created_at: null,
+  }]);
+});
+
+test('parseGeoJSON stores epoch millisecond timestamps as ISO strings', () => {
+  const { waypoints, rejected } = parseGeoJSON(collection(
+    feature({ name: 'A', created_at: Date.UTC(2024, 0, 2) }),
+    feature({ name: 'B', created_at: 'not a date' }),
+    feature({ name: 'C', created_at: { year: 2024 } })
+  ));
+
+  assert.equal(waypoints[0].created_at, '2024-01-02T00:00:00.000Z');
+  assert.deepEqual(rejected.map(({ index, error }) => [index, error]), [
+    [1, 'Invalid timestamp'],
+    [2, 'Invalid timestamp'],
+  ]);
+});
+
+test('parseGeoJSON only accepts http(s) image URLs', () => {
+  const { waypoints, rejected } = parseGeoJSON(collection(
+    feature({ name: 'A', image_url: '  https://example.com/a.jpg ' }),
+    feature({ name: 'B', image_url: 'javascript:alert(1)' }),
+    feature({ name: 'C', image_url: 42 }),
+    feature({ name: 'D', image_url: `https://example.com/${'a'.repeat(2048)}` })
+  ));
+
+  assert.equal(waypoints[0].image_url, 'https://example.com/a.jpg');
+  assert.deepEqual(rejected.map(({ index, error }) => [index, error]), [
+    [1, 'Image URL must be an http(s) URL'],
+    [2, 'Image URL must be an http(s) URL'],
+    [3, 'Image URL must be at most 2048 characters'],
+  ]);
+});
+
+test('parseGeoJSON rejects non-point geometries and bad coordinates', () => {
+  const { rejected } = parseGeoJSON(collection(
+    { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: { name: 'Line' } },
+    feature({ name: 'Far east' }, [181, 0]),
+    feature({ name: 'x'.repeat(256) })
+  ));
+
+  assert.deepEqual(rejected.map(({ index, error }) => [index, error]), [
+    [0, 'Only Point geometries are supported'],
+    [1, 'Longitude must be a number between -180 and 180'],
+    [2, 'Name must be at most 255 characters'],
+  ]);
+});
+
+test('parseGeoJSON rejects invalid documents', () => {
+  assert.throws(() => parseGeoJSON('{'), /Invalid JSON/);
+  assert.throws(() => parseGeoJSON('{"type":"Point","coordinates":[0,0]}'), /Not a GeoJSON Feature or FeatureCollection/);
+});
+
+test('parsers reject files with more features than an import allows', () => {
+  const features = Array.from({ length: MAX_IMPORT_FEATURES + 1 }, (_, index) => feature({ name: `P${index}` }));
+  assert.throws(() => parseGeoJSON(collection(...features)), /at most 5000 waypoints/);
+});
+
+test('detectFormat uses the file extension, then the content', () => {
+  assert.equal(detectFormat('track.GPX'), 'gpx');
+  assert.equal(detectFormat('places.kml'), 'kml');
+  assert.equal(detectFormat('points.json'), 'geojson');
+  assert.equal(detectFormat('upload', '  {"type":"FeatureCollection"}'), 'geojson');
+  assert.equal(detectFormat('upload', '<?xml version="1.0"?><gpx version="1.1">'), 'gpx');
+  assert.equal(detectFormat('upload', '<kml xmlns="http://www.opengis.net/kml/2.2">'), 'kml');
+  assert.equal(detectFormat('notes.txt', 'hello'), null);
+});
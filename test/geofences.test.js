@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGeometry, geofenceContains } from '../utils/geofences.js';
+
+// A polygon from GeoJSON coordinates, as stored
+const polygon = (coordinates) => {
+  const { details, geometry } = checkGeometry({ shape: 'polygon', coordinates });
+  assert.deepEqual(details, []);
+  return geometry;
+};
+
+const circle = (center_latitude, center_longitude, radius_m) => {
+  const { details, geometry } = checkGeometry({ shape: 'circle', center_latitude, center_longitude, radius_m });
+  assert.deepEqual(details, []);
+  return geometry;
+};
+
+test('a circle has a bounding box around it', () => {
+  const geometry = circle(10, 20, 5000);
+  assert.ok(geometry.min_latitude < 10 && geometry.max_latitude > 10);
+  assert.ok(geometry.min_longitude > 19.9 && geometry.max_longitude < 20.1);
+  assert.equal(geofenceContains(geometry, 10, 20.04), true);
+  assert.equal(geofenceContains(geometry, 10, 20.05), false);
+});
+
+test('a circle crossing the antimeridian spans every longitude', () => {
+  for (const longitude of [179.99, -179.99]) {
+    const geometry = circle(-17, longitude, 5000);
+    assert.equal(geometry.min_longitude, -180);
+    assert.equal(geometry.max_longitude, 180);
+    assert.ok(geometry.max_latitude - geometry.min_latitude < 0.1);
+  }
+
+  const geometry = circle(-17, 179.99, 5000);
+  assert.equal(geofenceContains(geometry, -17, 179.98), true);
+  assert.equal(geofenceContains(geometry, -17, -179.99), true);
+  assert.equal(geofenceContains(geometry, -17, 170), false);
+  assert.equal(geofenceContains(geometry, -16, 179.99), false);
+});
+
+test('a circle near the antimeridian but not across it keeps its bounding box', () => {
+  const geometry = circle(0, 179.9, 5000);
+  assert.ok(geometry.max_longitude <= 180 && geometry.min_longitude > 179.8);
+});
+
+test('a polygon contains points inside its outer ring and outside its holes', () => {
+  const geometry = polygon([
+    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+    [[4, 4], [6, 4], [6, 6], [4, 6]],
+  ]);
+
+  assert.deepEqual(geometry.coordinates[0], [[0, 0], [10, 0], [10, 10], [0, 10]]);
+  assert.deepEqual(
+    [geometry.min_latitude, geometry.min_longitude, geometry.max_latitude, geometry.max_longitude],
+    [0, 0, 10, 10]
+  );
+
+  assert.equal(geofenceContains(geometry, 2, 2), true);
+  assert.equal(geofenceContains(geometry, 8, 5), true);
+  assert.equal(geofenceContains(geometry, 5, 5), false);
+  assert.equal(geofenceContains(geometry, 5, 11), false);
+  assert.equal(geofenceContains(geometry, -1, 5), false);
+});
+
+test('a concave polygon excludes its notch', () => {
+  // A U shape open to the north between longitudes 3 and 7
+  const geometry = polygon([[[0, 0], [10, 0], [10, 10], [7, 10], [7, 3], [3, 3], [3, 10], [0, 10]]]);
+  assert.equal(geofenceContains(geometry, 8, 1), true);
+  assert.equal(geofenceContains(geometry, 8, 9), true);
+  assert.equal(geofenceContains(geometry, 8, 5), false);
+  assert.equal(geofenceContains(geometry, 1, 5), true);
+});
+
+test('checkGeometry rejects invalid rings', () => {
+  const invalid = (coordinates) => checkGeometry({ shape: 'polygon', coordinates }).details;
+  assert.equal(invalid([])[0].field, 'coordinates');
+  assert.match(invalid([[[0, 0], [1, 1], [0, 0]]])[0].message, /at least 3 distinct positions/);
+  assert.match(invalid([[[0, 0], [1, 91], [1, 0]]])[0].message, /\[longitude, latitude\] positions/);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILT_IN_PREFERENCES, PREFERENCE_FIELDS, resolvePreferences } from '../utils/preferences.js';
+
+// A stored row with every setting null except the given ones
+const row = (values) => ({
+  ...Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, null])),
+  ...values,
+});
+
+test('resolvePreferences falls back to the built-in defaults', () => {
+  const { sources, ...resolved } = resolvePreferences({});
+  assert.deepEqual(resolved, BUILT_IN_PREFERENCES);
+  assert.deepEqual(Object.values(sources), PREFERENCE_FIELDS.map(() => 'default'));
+});
+
+test('resolvePreferences takes each setting from the most specific scope that sets it', () => {
+  const preferences = resolvePreferences({
+    global: row({ default_zoom: 10, units: 'imperial', base_layer: 'satellite' }),
+    user: row({ units: 'nautical', coordinate_format: 'mgrs' }),
+    project: row({ units: 'metric' }),
+  });
+
+  assert.equal(preferences.default_zoom, 10);
+  assert.equal(preferences.base_layer, 'satellite');
+  assert.equal(preferences.units, 'metric');
+  assert.equal(preferences.coordinate_format, 'mgrs');
+  assert.deepEqual(preferences.sources, {
+    home_name: 'default',
+    home_latitude: 'default',
+    home_longitude: 'default',
+    default_zoom: 'global',
+    base_layer: 'global',
+    units: 'project',
+    coordinate_format: 'user',
+  });
+});
+
+test('resolvePreferences takes the home name and position from one scope', () => {
+  const preferences = resolvePreferences({
+    global: row({ home_name: 'Office', home_latitude: '12.5', home_longitude: '77.25' }),
+    // A name without a position doesn't override the global home
+    user: row({ home_name: 'Camp' }),
+    project: row({ home_latitude: '-3.25', home_longitude: '36.5' }),
+  });
+
+  assert.equal(preferences.home_name, null);
+  assert.equal(preferences.home_latitude, -3.25);
+  assert.equal(preferences.home_longitude, 36.5);
+  assert.equal(preferences.sources.home_name, 'project');
+  assert.equal(preferences.sources.home_longitude, 'project');
+});
+
+test('resolvePreferences reads the DECIMAL home position as numbers', () => {
+  const preferences = resolvePreferences({ user: row({ home_name: 'Camp', home_latitude: '26.516654', home_longitude: '80.231507' }) });
+  assert.equal(preferences.home_name, 'Camp');
+  assert.equal(preferences.home_latitude, 26.516654);
+  assert.equal(preferences.home_longitude, 80.231507);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRoute, optimizeStopOrder } from '../utils/routePlans.js';
+import { haversineDistance } from '../utils/geo.js';
+
+const stop = (waypoint_id, latitude, longitude) => ({ waypoint_id, latitude, longitude });
+
+const routeLength = (points) => points.slice(1).reduce((total, point, index) =>
+  total + haversineDistance(points[index].latitude, points[index].longitude, point.latitude, point.longitude), 0);
+
+const ids = (stops) => stops.map((point) => point.waypoint_id);
+
+test('computeRoute totals the legs and their travel time', () => {
+  const route = computeRoute([stop(null, 0, 0), stop(1, 0, 0.1), stop(2, '0.1', '0.1')], 36);
+
+  assert.equal(route.legs.length, 2);
+  assert.deepEqual(route.legs.map((leg) => [leg.from_waypoint_id, leg.to_waypoint_id]), [[null, 1], [1, 2]]);
+  assert.ok(Math.abs(route.legs[0].bearing_deg - 90) < 1e-9);
+  assert.ok(Math.abs(route.legs[1].bearing_deg) < 1e-3);
+  // 36 km/h is 10 m/s
+  assert.ok(Math.abs(route.legs[0].duration_s - route.legs[0].distance_m / 10) < 1e-9);
+  assert.equal(route.total_distance_m, route.legs[0].distance_m + route.legs[1].distance_m);
+  assert.ok(Math.abs(route.estimated_duration_s - route.total_distance_m / 10) < 1e-9);
+});
+
+test('computeRoute of a single point has no legs', () => {
+  assert.deepEqual(computeRoute([stop(1, 0, 0)], 5), { legs: [], total_distance_m: 0, estimated_duration_s: 0 });
+});
+
+test('optimizeStopOrder visits stops along a line in order from the start', () => {
+  const stops = [stop(3, 0, 0.3), stop(1, 0, 0.1), stop(4, 0, 0.4), stop(2, 0, 0.2)];
+  assert.deepEqual(ids(optimizeStopOrder(stop(null, 0, 0), stops)), [1, 2, 3, 4]);
+  // Starting past the far end reverses the order
+  assert.deepEqual(ids(optimizeStopOrder(stop(null, 0, 0.5), stops)), [4, 3, 2, 1]);
+});
+
+test('optimizeStopOrder keeps the first stop in place without a start', () => {
+  const stops = [stop(1, 0, 0.2), stop(2, 0, 0), stop(3, 0, 0.3), stop(4, 0, 0.1)];
+  const ordered = optimizeStopOrder(null, stops);
+  assert.equal(ordered[0].waypoint_id, 1);
+  assert.deepEqual(ids(ordered).sort(), [1, 2, 3, 4]);
+});
+
+test('optimizeStopOrder leaves fewer than three stops alone without a start', () => {
+  const stops = [stop(1, 0, 1), stop(2, 0, 0)];
+  const ordered = optimizeStopOrder(null, stops);
+  assert.deepEqual(ordered, stops);
+  assert.notEqual(ordered, stops);
+});
+
+test('optimizeStopOrder improves the nearest-neighbour tour until no reversal helps', () => {
+  // The nearest-neighbour tour from the start is 1, 3, 2, 5, 4
+  const start = stop(null, 0, 0);
+  const stops = [stop(1, 0, 0.1), stop(2, 0.1, 0), stop(3, 0.1, 0.1), stop(4, 0.05, 0.3), stop(5, 0.05, -0.2)];
+  const ordered = optimizeStopOrder(start, stops);
+
+  assert.deepEqual(ids(ordered).sort(), [1, 2, 3, 4, 5]);
+  assert.ok(routeLength([start, ...ordered]) <= routeLength([start, ...stops]));
+
+  // No reversal of a stretch of stops makes the route shorter
+  const route = [start, ...ordered];
+  const length = routeLength(route);
+  for (let i = 1; i < route.length - 1; i++) {
+    for (let j = i + 1; j < route.length; j++) {
+      const reversed = [...route.slice(0, i), ...route.slice(i, j + 1).reverse(), ...route.slice(j + 1)];
+      assert.ok(routeLength(reversed) >= length - 1e-6);
+    }
+  }
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSpatialFilter, boundNearest, radiusConditions, MAX_NEAREST } from '../utils/spatialQuery.js';
+
+// The boxes bound by a filter, as [west, south, east, north]
+const boxes = (sql, params) => [...sql.matchAll(/box\(point\(\$(\d+), \$(\d+)\), point\(\$(\d+), \$(\d+)\)\)/g)]
+  .map((match) => match.slice(1).map((index) => params[Number(index) - 1]));
+
+test('buildSpatialFilter matches a bbox', () => {
+  const params = ['user'];
+  const filter = buildSpatialFilter({ bbox: '80,26,81,27' }, params);
+
+  assert.equal(filter.conditions.length, 1);
+  assert.deepEqual(boxes(filter.conditions[0], params), [[80, 26, 81, 27]]);
+  assert.equal(filter.distanceSql, null);
+  assert.equal(filter.limit, null);
+});
+
+test('buildSpatialFilter splits a bbox across the antimeridian', () => {
+  const params = [];
+  const filter = buildSpatialFilter({ bbox: '170,-20,-170,-10' }, params);
+
+  assert.match(filter.conditions[0], / OR /);
+  assert.deepEqual(boxes(filter.conditions[0], params), [[170, -20, 180, -10], [-180, -20, -170, -10]]);
+});
+
+test('buildSpatialFilter rejects invalid bboxes', () => {
+  assert.deepEqual(buildSpatialFilter({ bbox: '1,2,3' }, []), { field: 'bbox', error: 'must be minLon,minLat,maxLon,maxLat' });
+  assert.deepEqual(buildSpatialFilter({ bbox: '0,0,181,1' }, []), { field: 'bbox', error: 'is out of range' });
+  assert.deepEqual(buildSpatialFilter({ bbox: '0,10,1,5' }, []), { field: 'bbox', error: 'is out of range' });
+});
+
+test('buildSpatialFilter adds the distance from near', () => {
+  const params = ['user'];
+  const filter = buildSpatialFilter({ near: '26.5,80.2' }, params);
+
+  assert.deepEqual(params, ['user', 26.5, 80.2]);
+  assert.deepEqual(filter.conditions, []);
+  assert.match(filter.distanceSql, /\$2::float8/);
+  assert.match(filter.distanceColumn, / AS distance_m$/);
+});
+
+test('buildSpatialFilter prefilters a radius on the box around the circle', () => {
+  const params = [];
+  const filter = buildSpatialFilter({ near: '0,10', radius: '111195' }, params);
+
+  const [[west, south, east, north]] = boxes(filter.conditions[0], params);
+  assert.ok(Math.abs(south + 1) < 1e-3 && Math.abs(north - 1) < 1e-3);
+  assert.ok(west < 9 && west > 8.9 && east > 11 && east < 11.1);
+  assert.match(filter.conditions[1], /<= \$\d+$/);
+  assert.equal(params[params.length - 1], 111195);
+});
+
+test('buildSpatialFilter splits a radius box across the antimeridian', () => {
+  const params = [];
+  const filter = buildSpatialFilter({ near: '0,179.5', radius: '111195' }, params);
+
+  const [east, west] = boxes(filter.conditions[0], params);
+  assert.equal(east[2], 180);
+  assert.ok(east[0] > 178.4 && east[0] < 178.6);
+  assert.equal(west[0], -180);
+  assert.ok(west[2] > -179.6 && west[2] < -179.4);
+});
+
+test('buildSpatialFilter widens a radius box near a pole to every longitude', () => {
+  const params = [];
+  const filter = buildSpatialFilter({ near: '89.5,0', radius: '200000' }, params);
+
+  const [[west, south, east, north]] = boxes(filter.conditions[0], params);
+  assert.deepEqual([west, east, north], [-180, 180, 90]);
+  assert.ok(south > 87 && south < 88);
+});
+
+test('buildSpatialFilter limits nearest=N and orders by the index without a radius', () => {
+  const params = ['user'];
+  const filter = buildSpatialFilter({ near: '26.5,80.2', nearest: '5' }, params);
+
+  assert.equal(filter.limit, 5);
+  assert.equal(filter.nearest.latitude, 26.5);
+  assert.equal(filter.nearest.longitude, 80.2);
+  assert.equal(filter.nearest.orderSql, 'point(w.longitude::float8, w.latitude::float8) <-> point($3::float8, $2::float8)');
+
+  const withRadius = buildSpatialFilter({ near: '26.5,80.2', nearest: '5', radius: '1000' }, []);
+  assert.equal(withRadius.limit, 5);
+  assert.equal(withRadius.nearest, null);
+});
+
+test('buildSpatialFilter rejects invalid near, radius and nearest', () => {
+  assert.deepEqual(buildSpatialFilter({ radius: '10' }, []), { field: 'near', error: 'is required with radius and nearest' });
+  assert.equal(buildSpatialFilter({ near: '91,0' }, []).field, 'near');
+  assert.equal(buildSpatialFilter({ near: 'here' }, []).field, 'near');
+  assert.equal(buildSpatialFilter({ near: '0,0', radius: '-5' }, []).field, 'radius');
+  assert.equal(buildSpatialFilter({ near: '0,0', nearest: '0' }, []).field, 'nearest');
+  assert.equal(buildSpatialFilter({ near: '0,0', nearest: '2.5' }, []).field, 'nearest');
+  assert.equal(buildSpatialFilter({ near: '0,0', nearest: String(MAX_NEAREST + 1) }, []).field, 'nearest');
+});
+
+test('boundNearest narrows nearest=N to the circle through the farthest candidate', async () => {
+  const params = ['user'];
+  const filter = buildSpatialFilter({ near: '0,10', nearest: '3' }, params);
+  const queries = [];
+  const db = {
+    async query(sql, values) {
+      queries.push({ sql, values: [...values] });
+      return { rows: [{ radius: '111195' }] };
+    },
+  };
+
+  const conditions = await boundNearest(filter, { db, join: 'JOIN access a ON true', conditions: ['visible'], params });
+
+  assert.equal(queries.length, 1);
+  assert.match(queries[0].sql, /JOIN access a ON true\s+WHERE visible\s+ORDER BY point\(.*\) <-> point\(\$3::float8, \$2::float8\)\s+LIMIT 3/);
+  assert.deepEqual(queries[0].values, ['user', 0, 10]);
+
+  const expected = radiusConditions(filter.nearest, 111195.001, ['user', 0, 10]);
+  assert.deepEqual(conditions, expected);
+  assert.equal(params[params.length - 1], 111195.001);
+});
+
+test('boundNearest adds nothing when no rows match', async () => {
+  const params = [];
+  const filter = buildSpatialFilter({ near: '0,10', nearest: '3' }, params);
+  const db = { query: async () => ({ rows: [{ radius: null }] }) };
+
+  assert.deepEqual(await boundNearest(filter, { db, join: '', conditions: ['true'], params }), []);
+  assert.equal(params.length, 2);
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSchema, validate, sendValidationError, idParam, waypointSchema } from '../middleware/validate.js';
+
+// Check one value against one rule, returning { message } or { value }
+const check = (value, rules) => {
+  const { details, values } = checkSchema({ field: value }, { field: rules }, 'body');
+  return details.length > 0 ? { message: details[0].message } : { value: values.field };
+};
+
+// A response recording its status and JSON body
+const response = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run the validate middleware, returning the response and whether next() was called
+const run = (schemas, req) => {
+  const res = response();
+  let passed = false;
+  validate(schemas)(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
+
+test('numbers and integers are coerced from strings', () => {
+  assert.deepEqual(check('12.5', { type: 'number' }), { value: 12.5 });
+  assert.deepEqual(check(' 7 ', { type: 'integer' }), { value: 7 });
+  assert.deepEqual(check(3, { type: 'integer' }), { value: 3 });
+  assert.deepEqual(check('abc', { type: 'number' }), { message: 'must be a number' });
+  assert.deepEqual(check('1.5', { type: 'integer' }), { message: 'must be an integer' });
+  assert.deepEqual(check(Infinity, { type: 'number' }), { message: 'must be a number' });
+});
+
+test('booleans are coerced from "true" and "false" only', () => {
+  assert.deepEqual(check('true', { type: 'boolean' }), { value: true });
+  assert.deepEqual(check('false', { type: 'boolean' }), { value: false });
+  assert.deepEqual(check(false, { type: 'boolean' }), { value: false });
+  assert.deepEqual(check('yes', { type: 'boolean' }), { message: 'must be true or false' });
+  assert.deepEqual(check(1, { type: 'boolean' }), { message: 'must be true or false' });
+});
+
+test('strings are not coerced from other types', () => {
+  assert.deepEqual(check('text', { type: 'string' }), { value: 'text' });
+  assert.deepEqual(check(12, { type: 'string' }), { message: 'must be a string' });
+  assert.deepEqual(check(12, {}), { message: 'must be a string' });
+});
+
+test('email, url, array and object types', () => {
+  assert.deepEqual(check('a@example.com', { type: 'email' }), { value: 'a@example.com' });
+  assert.deepEqual(check('not-an-email', { type: 'email' }), { message: 'must be a valid email address' });
+  assert.deepEqual(check('https://example.com/a.jpg', { type: 'url' }), { value: 'https://example.com/a.jpg' });
+  assert.deepEqual(check('ftp://example.com', { type: 'url' }), { message: 'must be an http(s) URL' });
+  assert.deepEqual(check([1, 2], { type: 'array' }), { value: [1, 2] });
+  assert.deepEqual(check({ a: 1 }, { type: 'array' }), { message: 'must be an array' });
+  assert.deepEqual(check({ a: 1 }, { type: 'object' }), { value: { a: 1 } });
+  assert.deepEqual(check([1], { type: 'object' }), { message: 'must be an object' });
+});
+
+test('numeric ranges name their bounds', () => {
+  assert.deepEqual(check('5', { type: 'integer', min: 1, max: 10 }), { value: 5 });
+  assert.deepEqual(check(1, { type: 'integer', min: 1, max: 10 }), { value: 1 });
+  assert.deepEqual(check(10, { type: 'integer', min: 1, max: 10 }), { value: 10 });
+  assert.deepEqual(check(0, { type: 'integer', min: 1, max: 10 }), { message: 'must be between 1 and 10' });
+  assert.deepEqual(check(11, { type: 'integer', min: 1, max: 10 }), { message: 'must be between 1 and 10' });
+  assert.deepEqual(check(0, { type: 'number', min: 1 }), { message: 'must be at least 1' });
+  assert.deepEqual(check(11, { type: 'number', max: 10 }), { message: 'must be at most 10' });
+});
+
+test('lengths apply to strings and arrays', () => {
+  assert.deepEqual(check('abc', { type: 'string', minLength: 3, maxLength: 3 }), { value: 'abc' });
+  assert.deepEqual(check('ab', { type: 'string', minLength: 3 }), { message: 'must be at least 3 characters long' });
+  assert.deepEqual(check('abcd', { type: 'string', maxLength: 3 }), { message: 'must be at most 3 characters long' });
+  assert.deepEqual(check([1, 2, 3], { type: 'array', maxLength: 2 }), { message: 'must be at most 2 items long' });
+});
+
+test('enum and pattern restrict values', () => {
+  assert.deepEqual(check('walk', { type: 'string', enum: ['walk', 'boat'] }), { value: 'walk' });
+  assert.deepEqual(check('fly', { type: 'string', enum: ['walk', 'boat'] }), { message: 'must be one of: walk, boat' });
+  assert.deepEqual(check('2', { type: 'integer', enum: [1, 2] }), { value: 2 });
+  assert.deepEqual(check('abc', { type: 'string', pattern: /^[a-z]+$/ }), { value: 'abc' });
+  assert.deepEqual(check('ABC', { type: 'string', pattern: /^[a-z]+$/ }), { message: 'has an invalid format' });
+});
+
+test('a custom message replaces the generated one', () => {
+  assert.deepEqual(check('ABC', { type: 'string', pattern: /^[a-z]+$/, message: 'must be lowercase' }), { message: 'must be lowercase' });
+  assert.deepEqual(
+    checkSchema({}, { name: { type: 'string', required: true, message: 'give a name' } }, 'body').details,
+    [{ location: 'body', field: 'name', message: 'give a name' }]
+  );
+});
+
+test('required rejects missing and blank values', () => {
+  const schema = { name: { type: 'string', required: true } };
+  for (const source of [{}, { name: '' }, { name: '   ' }, null]) {
+    assert.deepEqual(checkSchema(source, schema, 'body').details, [{ location: 'body', field: 'name', message: 'is required' }]);
+  }
+  assert.deepEqual(checkSchema({ name: null }, schema, 'body').details, [{ location: 'body', field: 'name', message: 'must be a string' }]);
+});
+
+test('optional fields may be missing', () => {
+  assert.deepEqual(checkSchema({ name: '' }, { name: { type: 'string' } }, 'body'), { details: [], values: {} });
+});
+
+test('nullable allows an explicit null', () => {
+  assert.deepEqual(checkSchema({ notes: null }, { notes: { type: 'string', nullable: true } }, 'body'), {
+    details: [],
+    values: { notes: null },
+  });
+  assert.deepEqual(check(null, { type: 'string' }), { message: 'must be a string' });
+});
+
+test('checkSchema reports every invalid field', () => {
+  const { details } = checkSchema({ name: '', latitude: '95', longitude: 'east' }, waypointSchema, 'body');
+  assert.deepEqual(details, [
+    { location: 'body', field: 'name', message: 'is required' },
+    { location: 'body', field: 'latitude', message: 'must be between -90 and 90' },
+    { location: 'body', field: 'longitude', message: 'must be a number' },
+  ]);
+});
+
+test('validate replaces validated fields with their values and keeps the rest', () => {
+  const req = { params: { id: '42' }, query: { limit: '10', other: 'x' } };
+  const { res, passed } = run({ params: idParam, query: { limit: { type: 'integer', min: 1 } } }, req);
+
+  assert.equal(passed, true);
+  assert.equal(res.body, undefined);
+  assert.deepEqual(req.params, { id: 42 });
+  assert.deepEqual(req.query, { limit: 10, other: 'x' });
+});
+
+test('validate responds 400 with the details of every location', () => {
+  const req = { params: { id: '0' }, body: { name: 5 } };
+  const { res, passed } = run({ params: idParam, body: { name: { type: 'string', required: true } } }, req);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    error: 'Validation failed',
+    details: [
+      { location: 'params', field: 'id', message: 'must be at least 1' },
+      { location: 'body', field: 'name', message: 'must be a string' },
+    ],
+  });
+  assert.deepEqual(req.params, { id: '0' });
+});
+
+test('sendValidationError sends the standard 400 response', () => {
+  const res = sendValidationError(response(), [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    error: 'Validation failed',
+    details: [{ location: 'query', field: 'cursor', message: 'is invalid' }],
+  });
+});
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import pool from '../database/connection.js';
+
+// Single-use, expiring tokens for email verification and password reset links.
+// Only a SHA-256 hash of each token is stored.
+
+export const TOKEN_TTL_MS = {
+  verify_email: 48 * 60 * 60 * 1000, // 48 hours
+  reset_password: 60 * 60 * 1000, // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token, invalidating any earlier unused token with the same purpose
+export const createAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + TOKEN_TTL_MS[purpose])]
+  );
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown,
+// already used, expired or issued for another purpose
+export const consumeAccountToken = async (token, purpose, client = pool) => {
+  const result = await client.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+       AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(String(token)), purpose]
+  );
+
+  return result.rows[0]?.user_id || null;
+};
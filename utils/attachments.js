@@ -0,0 +1,72 @@
+import { extractPhotoMetadata } from './exif.js';
+import { haversineDistance } from './geo.js';
+import { saveMedia } from './media.js';
+
+// Photos taken further than this from their waypoint are flagged
+const LOCATION_TOLERANCE_M = Number(process.env.ATTACHMENT_LOCATION_TOLERANCE_M) || 100;
+
+// Read EXIF metadata from an uploaded file (unless already read) and store it.
+// Originals are kept untransformed, since they may serve as survey evidence.
+export const storeAttachmentFile = async (file, userId, exif = null) => {
+  exif = exif || await extractPhotoMetadata(file.buffer, file.mimetype);
+  const media = await saveMedia(file, {
+    folder: 'navigation-tracking/attachments',
+    userId,
+  });
+
+  return {
+    url: media.url,
+    media_id: media.id,
+    media,
+    exif,
+  };
+};
+
+// Insert an attachment row after the waypoint's existing attachments
+export const insertAttachment = async (db, { waypointId, userId, file, stored, caption }) => {
+  const result = await db.query(
+    `INSERT INTO waypoint_attachments
+       (waypoint_id, user_id, url, media_id, mime_type, size_bytes, original_filename,
+        caption, position, exif_latitude, exif_longitude, exif_altitude, captured_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+       (SELECT COALESCE(MAX(position) + 1, 0) FROM waypoint_attachments WHERE waypoint_id = $1),
+       $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      waypointId,
+      userId,
+      stored.url,
+      stored.media_id,
+      file.mimetype,
+      file.size,
+      file.originalname,
+      caption || null,
+      stored.exif.latitude,
+      stored.exif.longitude,
+      stored.exif.altitude,
+      stored.exif.captured_at,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+// Add how far a geotagged attachment was taken from its waypoint
+export const withLocationCheck = (attachment, waypoint) => {
+  if (attachment.exif_latitude === null || attachment.exif_longitude === null) {
+    return { ...attachment, exif_distance_m: null, location_mismatch: null };
+  }
+
+  const distance = haversineDistance(
+    Number(waypoint.latitude),
+    Number(waypoint.longitude),
+    Number(attachment.exif_latitude),
+    Number(attachment.exif_longitude)
+  );
+
+  return {
+    ...attachment,
+    exif_distance_m: distance,
+    location_mismatch: distance > LOCATION_TOLERANCE_M,
+  };
+};
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../database/connection.js';
+
+// Short-lived access tokens (JWT) plus rotating refresh tokens stored server-side.
+// A refresh token has the form `<sessionId>.<secret>`; only a SHA-256 hash of it
+// is kept in the sessions table. Each refresh replaces it with a new one, and
+// presenting an already-rotated token revokes the whole session.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, role: user.role, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Derive a readable device label from the User-Agent when the client doesn't send one
+const describeDevice = (userAgent = '') => {
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find((name) => userAgent.includes(name));
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find((name) => userAgent.includes(name));
+  if (!os && !browser) return null;
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ');
+};
+
+// Create a session for a user who just signed in and issue its tokens
+export const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const userAgent = req.headers['user-agent'] || null;
+
+  // Insert first to get the session id, then store the hash of the full token
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, '', $2, $3, $4, $5)
+     RETURNING id`,
+    [
+      user.id,
+      req.body?.device_name || describeDevice(userAgent || undefined),
+      userAgent,
+      req.ip || null,
+      new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ]
+  );
+
+  const sessionId = result.rows[0].id;
+  const refreshToken = `${sessionId}.${secret}`;
+
+  await pool.query(
+    'UPDATE sessions SET refresh_token_hash = $1 WHERE id = $2',
+    [hashToken(refreshToken), sessionId]
+  );
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Returns null if the token is unknown, expired or revoked, or the account
+// has been deactivated.
+export const rotateSession = async (refreshToken) => {
+  const sessionId = Number(String(refreshToken).split('.')[0]);
+  if (!Number.isInteger(sessionId) || sessionId < 1) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT s.id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+            u.id AS user_id, u.email, u.role, u.deactivated_at
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1`,
+    [sessionId]
+  );
+
+  const session = result.rows[0];
+  if (!session || session.revoked_at || session.deactivated_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  if (session.refresh_token_hash !== hashToken(refreshToken)) {
+    // An old token was replayed: it may have been stolen, so end the session
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const newRefreshToken = `${session.id}.${newRefreshSecret()}`;
+  const updated = await pool.query(
+    `UPDATE sessions
+     SET refresh_token_hash = $1, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND refresh_token_hash = $3
+     RETURNING id`,
+    [hashToken(newRefreshToken), session.id, session.refresh_token_hash]
+  );
+
+  // Another request rotated the token first
+  if (updated.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    sessionId: session.id,
+    userId: session.user_id,
+    accessToken: signAccessToken({ id: session.user_id, email: session.email, role: session.role }, session.id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+export const revokeSession = async (sessionId, userId = null) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR user_id = $2)
+     RETURNING id`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Id of the active session a refresh token currently belongs to, or null
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    `SELECT id FROM sessions
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(String(refreshToken))]
+  );
+  return result.rows[0]?.id || null;
+};
+
+// Session id from a correctly signed access token, even if it has expired
+export const sessionIdFromAccessToken = (accessToken) => {
+  try {
+    return jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true }).sessionId || null;
+  } catch {
+    return null;
+  }
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, {
+    ...cookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_MS // the JWT itself expires much sooner
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...cookieOptions,
+    path: '/auth',
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refresh_token', { path: '/auth' });
+};
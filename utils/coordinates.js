@@ -0,0 +1,313 @@
+import { formatDMS } from './geo.js';
+
+// Coordinate conversions: geodetic datums, UTM, MGRS and degrees-minutes-seconds.
+// Waypoints are stored as WGS84 decimal degrees; these convert to and from the
+// notations surveyors write positions in.
+
+// Ellipsoids: semi-major axis a (m) and flattening f
+const ELLIPSOIDS = {
+  WGS84: { a: 6378137, f: 1 / 298.257223563 },
+  GRS80: { a: 6378137, f: 1 / 298.257222101 },
+  INTL1924: { a: 6378388, f: 1 / 297 },
+  CLARKE1866: { a: 6378206.4, f: 1 / 294.978698214 },
+  AIRY1830: { a: 6377563.396, f: 1 / 299.3249646 },
+  EVEREST1830: { a: 6377299.151, f: 1 / 300.8017255 },
+  BESSEL1841: { a: 6377397.155, f: 1 / 299.1528128 },
+};
+
+// Datums with their ellipsoid and the Helmert transformation to WGS84
+// (translations in m, rotations in arc seconds, position vector convention,
+// scale in ppm), as published by EPSG. Accuracy is a few metres, which suits
+// field positions but not geodetic control.
+export const DATUMS = {
+  WGS84: { ellipsoid: 'WGS84', toWGS84: null, description: 'World Geodetic System 1984 (GPS)' },
+  NAD83: { ellipsoid: 'GRS80', toWGS84: null, description: 'North American Datum 1983' },
+  NAD27: { ellipsoid: 'CLARKE1866', toWGS84: [-8, 160, 176, 0, 0, 0, 0], description: 'North American Datum 1927 (CONUS)' },
+  ED50: { ellipsoid: 'INTL1924', toWGS84: [-87, -98, -121, 0, 0, 0, 0], description: 'European Datum 1950' },
+  OSGB36: {
+    ellipsoid: 'AIRY1830',
+    toWGS84: [446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489],
+    description: 'Ordnance Survey Great Britain 1936',
+  },
+  KALIANPUR1975: { ellipsoid: 'EVEREST1830', toWGS84: [295, 736, 257, 0, 0, 0, 0], description: 'Kalianpur 1975 (India)' },
+  TOKYO: { ellipsoid: 'BESSEL1841', toWGS84: [-146.414, 507.337, 680.507, 0, 0, 0, 0], description: 'Tokyo (Japan)' },
+};
+
+export const DATUM_NAMES = Object.keys(DATUMS);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const ARC_SECOND = Math.PI / (180 * 3600);
+
+// Geodetic latitude/longitude (degrees, height 0) to earth-centred cartesian
+const toCartesian = (latitude, longitude, { a, f }) => {
+  const phi = toRadians(latitude);
+  const lambda = toRadians(longitude);
+  const e2 = f * (2 - f);
+  const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+  return [
+    nu * Math.cos(phi) * Math.cos(lambda),
+    nu * Math.cos(phi) * Math.sin(lambda),
+    nu * (1 - e2) * Math.sin(phi),
+  ];
+};
+
+// Earth-centred cartesian to geodetic latitude/longitude (Bowring's method)
+const toGeodetic = ([x, y, z], { a, f }) => {
+  const e2 = f * (2 - f);
+  const b = a * (1 - f);
+  const ep2 = e2 / (1 - e2);
+  const p = Math.sqrt(x * x + y * y);
+  const theta = Math.atan2(z * a, p * b);
+  const phi = Math.atan2(z + ep2 * b * Math.sin(theta) ** 3, p - e2 * a * Math.cos(theta) ** 3);
+  return { latitude: toDegrees(phi), longitude: toDegrees(Math.atan2(y, x)) };
+};
+
+const helmert = ([x, y, z], [tx, ty, tz, rx, ry, rz, s]) => {
+  const scale = 1 + s / 1e6;
+  const [wx, wy, wz] = [rx * ARC_SECOND, ry * ARC_SECOND, rz * ARC_SECOND];
+  return [
+    tx + scale * (x - wz * y + wy * z),
+    ty + scale * (wz * x + y - wx * z),
+    tz + scale * (-wy * x + wx * y + z),
+  ];
+};
+
+// Convert a position between datums, e.g. convertDatum(51.5, -0.12, 'OSGB36', 'WGS84')
+export const convertDatum = (latitude, longitude, from, to) => {
+  if (from === to) return { latitude, longitude };
+
+  const source = DATUMS[from];
+  const target = DATUMS[to];
+  let point = toCartesian(latitude, longitude, ELLIPSOIDS[source.ellipsoid]);
+  if (source.toWGS84) {
+    point = helmert(point, source.toWGS84);
+  }
+  if (target.toWGS84) {
+    point = helmert(point, target.toWGS84.map((value) => -value));
+  }
+  return toGeodetic(point, ELLIPSOIDS[target.ellipsoid]);
+};
+
+// --- UTM (Krüger series, accurate to well under a millimetre within a zone)
+
+const UTM_SCALE = 0.9996;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+// Latitude bands C to X, 8° each from 80°S (X spans 72°N to 84°N). UTM
+// isn't defined outside them; the polar regions use UPS instead.
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+const UTM_MIN_LATITUDE = -80;
+const UTM_MAX_LATITUDE = 84;
+
+export const inUTMRange = (latitude) => latitude >= UTM_MIN_LATITUDE && latitude <= UTM_MAX_LATITUDE;
+
+const seriesFor = ({ a, f }) => {
+  const n = f / (2 - f);
+  return {
+    e: Math.sqrt(f * (2 - f)),
+    A: (a / (1 + n)) * (1 + n ** 2 / 4 + n ** 4 / 64),
+    alpha: [n / 2 - (2 * n ** 2) / 3 + (5 * n ** 3) / 16, (13 * n ** 2) / 48 - (3 * n ** 3) / 5, (61 * n ** 3) / 240],
+    beta: [n / 2 - (2 * n ** 2) / 3 + (37 * n ** 3) / 96, n ** 2 / 48 + n ** 3 / 15, (17 * n ** 3) / 480],
+  };
+};
+
+// Band letter of a latitude, or null outside the UTM range
+export const latitudeBand = (latitude) =>
+  inUTMRange(latitude) ? LATITUDE_BANDS[Math.floor(latitude / 8 + 10)] : null;
+
+// UTM zone of a position, including the Norway and Svalbard exceptions
+export const utmZone = (latitude, longitude) => {
+  let zone = Math.floor((longitude + 180) / 6) + 1;
+  if (zone > 60) zone = 1;
+  if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) return 32;
+  if (latitude >= 72 && latitude < 84 && longitude >= 0 && longitude < 42) {
+    if (longitude < 9) return 31;
+    if (longitude < 21) return 33;
+    if (longitude < 33) return 35;
+    return 37;
+  }
+  return zone;
+};
+
+// Latitude/longitude to UTM, in the position's own zone unless one is given.
+// Returns null outside the UTM latitude range.
+export const toUTM = (latitude, longitude, { datum = 'WGS84', zone = utmZone(latitude, longitude) } = {}) => {
+  if (!inUTMRange(latitude)) return null;
+
+  const { e, A, alpha } = seriesFor(ELLIPSOIDS[DATUMS[datum].ellipsoid]);
+  const phi = toRadians(latitude);
+  const dLambda = toRadians(longitude - ((zone - 1) * 6 - 180 + 3));
+
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+  const xiPrime = Math.atan2(t, Math.cos(dLambda));
+  const etaPrime = Math.atanh(Math.sin(dLambda) / Math.sqrt(1 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  alpha.forEach((coefficient, index) => {
+    const j = 2 * (index + 1);
+    xi += coefficient * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+    eta += coefficient * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+  });
+
+  const hemisphere = latitude < 0 ? 'S' : 'N';
+  return {
+    zone,
+    band: latitudeBand(latitude),
+    hemisphere,
+    easting: FALSE_EASTING + UTM_SCALE * A * eta,
+    northing: UTM_SCALE * A * xi + (hemisphere === 'S' ? FALSE_NORTHING_SOUTH : 0),
+  };
+};
+
+// UTM to latitude/longitude
+export const fromUTM = ({ zone, hemisphere, easting, northing }, { datum = 'WGS84' } = {}) => {
+  const { e, A, beta } = seriesFor(ELLIPSOIDS[DATUMS[datum].ellipsoid]);
+  const xi = (northing - (hemisphere === 'S' ? FALSE_NORTHING_SOUTH : 0)) / (UTM_SCALE * A);
+  const eta = (easting - FALSE_EASTING) / (UTM_SCALE * A);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  beta.forEach((coefficient, index) => {
+    const j = 2 * (index + 1);
+    xiPrime -= coefficient * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaPrime -= coefficient * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+
+  const tauPrime = Math.sin(xiPrime) / Math.sqrt(Math.sinh(etaPrime) ** 2 + Math.cos(xiPrime) ** 2);
+
+  // Solve for the conformal latitude's tangent by Newton-Raphson
+  let tau = tauPrime;
+  for (let i = 0; i < 10; i++) {
+    const sigma = Math.sinh(e * Math.atanh((e * tau) / Math.sqrt(1 + tau * tau)));
+    const tauGuess = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    const delta = ((tauPrime - tauGuess) / Math.sqrt(1 + tauGuess * tauGuess)) *
+      (1 + (1 - e * e) * tau * tau) / ((1 - e * e) * Math.sqrt(1 + tau * tau));
+    tau += delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  const longitude = toDegrees(Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))) + ((zone - 1) * 6 - 180 + 3);
+  return { latitude: toDegrees(Math.atan(tau)), longitude: ((longitude + 540) % 360) - 180 };
+};
+
+export const formatUTM = ({ zone, band, easting, northing }) =>
+  `${zone}${band} ${Math.round(easting)} ${Math.round(northing)}`;
+
+// --- MGRS (1 m precision)
+
+const COLUMN_LETTERS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];
+const ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// MGRS reference of a position, or null outside the UTM latitude range
+export const toMGRS = (latitude, longitude, options = {}) => {
+  const utm = toUTM(latitude, longitude, options);
+  if (!utm) return null;
+  const column = COLUMN_LETTERS[utm.zone % 3][Math.floor(utm.easting / 100000) - 1];
+  const row = ROW_LETTERS[(Math.floor(utm.northing / 100000) + (utm.zone % 2 === 0 ? 5 : 0)) % 20];
+  const digits = (value) => String(Math.floor(value % 100000)).padStart(5, '0');
+  return `${utm.zone}${utm.band} ${column}${row} ${digits(utm.easting)} ${digits(utm.northing)}`;
+};
+
+// Parse an MGRS reference such as "44R MA 23456 33456" or "44RMA2345633456"
+// (2 to 10 digits), returning latitude/longitude of the square's south-west corner
+export const fromMGRS = (text, options = {}) => {
+  const match = /^(\d{1,2})([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/i.exec(String(text).trim());
+  if (!match) return null;
+
+  const zone = Number(match[1]);
+  const [band, columnLetter, rowLetter] = [match[2], match[3], match[4]].map((letter) => letter.toUpperCase());
+  let digits = match[5] + match[6];
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+
+  const columnIndex = COLUMN_LETTERS[zone % 3].indexOf(columnLetter);
+  const rowIndex = ROW_LETTERS.indexOf(rowLetter);
+  if (columnIndex < 0) return null;
+
+  const precision = digits.length / 2;
+  const scale = 10 ** (5 - precision);
+  const easting = (columnIndex + 1) * 100000 + Number(digits.slice(0, precision) || 0) * scale;
+  let northing = (((rowIndex - (zone % 2 === 0 ? 5 : 0)) % 20) + 20) % 20 * 100000 +
+    Number(digits.slice(precision) || 0) * scale;
+
+  // The row letters repeat every 2000 km; pick the cycle inside the latitude band
+  const bandLatitude = (LATITUDE_BANDS.indexOf(band) - 10) * 8;
+  const hemisphere = bandLatitude < 0 ? 'S' : 'N';
+  const bandNorthing = Math.floor(toUTM(bandLatitude, (zone - 1) * 6 - 180 + 3, { ...options, zone }).northing / 100000) * 100000;
+  while (northing < bandNorthing) {
+    northing += 2000000;
+  }
+
+  return fromUTM({ zone, hemisphere, easting, northing }, options);
+};
+
+// --- Degrees, minutes and seconds
+
+// Parse a DMS or decimal string for one axis, e.g. 26°30'59.95"N,
+// "26 30 59.95 N", "N26 30.9992", "33°52'S", "-80.2315" or "80d13m53.4sE".
+// A hemisphere letter goes first or last; a final S is always the southern
+// hemisphere, never a seconds mark.
+// Returns decimal degrees, or null if the text isn't a coordinate.
+const DMS_PATTERN = new RegExp(
+  '^(-)?\\s*(\\d+(?:\\.\\d+)?)(?:\\s*[°D:]\\s*|\\s+)?' +
+  '(?:(\\d+(?:\\.\\d+)?)(?:\\s*[\'M′:]\\s*|\\s+)?)?' +
+  '(?:(\\d+(?:\\.\\d+)?)\\s*(?:["″S]|\'\')?)?$'
+);
+
+export const parseDMS = (text, axis) => {
+  let value = String(text).trim().toUpperCase();
+
+  let prefix = null;
+  let suffix = null;
+  if (/^[NSEW]/.test(value)) {
+    prefix = value[0];
+    value = value.slice(1).trim();
+  }
+  if (/[NSEW]$/.test(value)) {
+    suffix = value[value.length - 1];
+    value = value.slice(0, -1).trim();
+  }
+
+  const match = DMS_PATTERN.exec(value);
+  if (!match || (prefix && suffix)) return null;
+
+  const [, minus, degrees, minutes, seconds] = match;
+  const hemisphere = prefix || suffix;
+  if (hemisphere && (axis === 'latitude') !== 'NS'.includes(hemisphere)) return null;
+  if (hemisphere && minus) return null;
+  if ((minutes !== undefined && Number(minutes) >= 60) || (seconds !== undefined && Number(seconds) >= 60)) return null;
+  // Only the last part may have a fraction
+  if ((minutes !== undefined && degrees.includes('.')) || (seconds !== undefined && minutes.includes('.'))) return null;
+
+  const decimal = Number(degrees) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600;
+  return minus || hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+};
+
+// --- Output
+
+export const COORDINATE_FORMATS = ['utm', 'mgrs', 'dms'];
+
+// A waypoint's position in other notations, in `datum`:
+// { datum, latitude, longitude, utm?, mgrs?, dms? }
+export const describeCoordinates = (latitude, longitude, formats, datum = 'WGS84') => {
+  const position = convertDatum(Number(latitude), Number(longitude), 'WGS84', datum);
+  const result = { datum, latitude: position.latitude, longitude: position.longitude };
+
+  // UTM and MGRS are null near the poles, where they aren't defined
+  if (formats.includes('utm')) {
+    const utm = toUTM(position.latitude, position.longitude, { datum });
+    result.utm = utm && { ...utm, text: formatUTM(utm) };
+  }
+  if (formats.includes('mgrs')) {
+    result.mgrs = toMGRS(position.latitude, position.longitude, { datum });
+  }
+  if (formats.includes('dms')) {
+    result.dms = {
+      latitude: formatDMS(position.latitude, 'latitude'),
+      longitude: formatDMS(position.longitude, 'longitude'),
+    };
+  }
+  return result;
+};
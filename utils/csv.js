@@ -0,0 +1,42 @@
+// CSV formatting (RFC 4180: quoted fields, CRLF line endings).
+
+export const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+};
+
+// UTF-8 byte order mark, so Excel detects the encoding
+export const UTF8_BOM = '\uFEFF';
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^[+-]?\d+(\.\d+)?$/;
+
+// Format one value. `excel` neutralizes text that would be read as a formula
+// (numbers, including DECIMAL columns that pg returns as strings, are left
+// alone so negative coordinates stay numeric).
+export const csvValue = (value, delimiter, { excel = false } = {}) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (excel && typeof value === 'string' && FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const csvLine = (values, delimiter, options) =>
+  `${values.map((value) => csvValue(value, delimiter, options)).join(delimiter)}\r\n`;
@@ -0,0 +1,54 @@
+import exifr from 'exifr';
+
+// Formats that can carry EXIF metadata
+const EXIF_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/tiff', 'image/heic', 'image/heif', 'image/png', 'image/webp'];
+
+// Read GPS position and capture time from a photo.
+// Always resolves; fields are null when the file has no (usable) EXIF data.
+export const extractPhotoMetadata = async (buffer, mimeType) => {
+  const metadata = {
+    latitude: null,
+    longitude: null,
+    altitude: null,
+    captured_at: null,
+  };
+
+  if (!EXIF_MIME_TYPES.includes(mimeType)) {
+    return metadata;
+  }
+
+  try {
+    const exif = await exifr.parse(buffer, {
+      gps: true,
+      pick: [
+        'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef',
+        'GPSAltitude', 'GPSAltitudeRef', 'DateTimeOriginal', 'CreateDate',
+      ],
+    });
+
+    if (!exif) {
+      return metadata;
+    }
+
+    if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude) &&
+        Math.abs(exif.latitude) <= 90 && Math.abs(exif.longitude) <= 180) {
+      metadata.latitude = exif.latitude;
+      metadata.longitude = exif.longitude;
+    }
+
+    if (Number.isFinite(exif.GPSAltitude)) {
+      // Altitude reference 1 means below sea level
+      const altitudeRef = Number(exif.GPSAltitudeRef?.[0] ?? exif.GPSAltitudeRef);
+      metadata.altitude = altitudeRef === 1 ? -exif.GPSAltitude : exif.GPSAltitude;
+    }
+
+    const captured = exif.DateTimeOriginal || exif.CreateDate;
+    if (captured instanceof Date && !Number.isNaN(captured.getTime())) {
+      metadata.captured_at = captured.toISOString();
+    }
+  } catch (error) {
+    console.error('Error reading EXIF data:', error.message);
+  }
+
+  return metadata;
+};
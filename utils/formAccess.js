@@ -0,0 +1,30 @@
+import pool from '../database/connection.js';
+
+// SQL fragments for querying survey forms (aliased `f`) as seen by the user bound to $1.
+// A form is visible to its creator and, for project forms, to the project's members.
+export const FORM_ACCESS_JOIN = 'LEFT JOIN project_members fpm ON fpm.project_id = f.project_id AND fpm.user_id = $1';
+
+export const FORM_ACCESS_COLUMN = `CASE
+    WHEN f.created_by = $1 THEN 'owner'
+    WHEN fpm.role IN ('owner', 'editor') THEN 'editor'
+    ELSE 'viewer'
+  END AS access`;
+
+export const FORM_VISIBLE_CONDITION = '(f.created_by = $1 OR fpm.user_id IS NOT NULL)';
+
+// Get a form the user can see, with an `access` field ('owner', 'editor' or 'viewer').
+// Returns null when it doesn't exist or isn't visible to the user.
+export const getAccessibleForm = async (formId, userId) => {
+  const result = await pool.query(
+    `SELECT f.*, ${FORM_ACCESS_COLUMN}
+     FROM survey_forms f
+     ${FORM_ACCESS_JOIN}
+     WHERE f.id = $2 AND ${FORM_VISIBLE_CONDITION}`,
+    [userId, formId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const canEditForm = (form) =>
+  form.access === 'owner' || form.access === 'editor';
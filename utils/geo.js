@@ -0,0 +1,143 @@
+// Mean Earth radius in meters (IUGG)
+export const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in meters between two lat/lon points (haversine formula)
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Initial great-circle bearing in degrees (0-360, clockwise from true north)
+// for travelling from the first point to the second
+export const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Points spaced evenly along a path of { latitude, longitude } vertices, from
+// its first to its last vertex: [{ distance_m, latitude, longitude }, ...].
+// Positions between vertices are interpolated linearly, which is accurate
+// for the short segments of survey lines and tracks.
+export const samplePath = (vertices, count) => {
+  const points = vertices.map((vertex) => ({ latitude: Number(vertex.latitude), longitude: Number(vertex.longitude) }));
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineDistance(
+      points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude
+    ));
+  }
+  const total = cumulative[cumulative.length - 1];
+
+  const samples = [];
+  let segment = 1;
+  for (let i = 0; i < count; i++) {
+    const distance = count === 1 ? 0 : (total * i) / (count - 1);
+    while (segment < points.length - 1 && cumulative[segment] < distance) {
+      segment++;
+    }
+
+    const from = points[Math.max(0, segment - 1)];
+    const to = points[Math.min(segment, points.length - 1)];
+    const length = cumulative[segment] - cumulative[segment - 1] || 0;
+    const fraction = length > 0 ? (distance - cumulative[segment - 1]) / length : 0;
+
+    samples.push({
+      distance_m: distance,
+      latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+      longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+    });
+  }
+  return samples;
+};
+
+// Compute summary statistics for track points ordered by segment and time.
+// Distance and elevation change are only accumulated within a segment, so
+// gaps between segments (e.g. paused recording) don't count as travelled.
+export const computeTrackStats = (points) => {
+  const stats = {
+    point_count: points.length,
+    distance_m: 0,
+    duration_s: 0,
+    elevation_gain_m: 0,
+    elevation_loss_m: 0,
+    min_latitude: null,
+    min_longitude: null,
+    max_latitude: null,
+    max_longitude: null,
+  };
+
+  let firstTime = null;
+  let lastTime = null;
+  let previous = null;
+
+  for (const point of points) {
+    const latitude = Number(point.latitude);
+    const longitude = Number(point.longitude);
+    const time = new Date(point.recorded_at).getTime();
+
+    stats.min_latitude = stats.min_latitude === null ? latitude : Math.min(stats.min_latitude, latitude);
+    stats.max_latitude = stats.max_latitude === null ? latitude : Math.max(stats.max_latitude, latitude);
+    stats.min_longitude = stats.min_longitude === null ? longitude : Math.min(stats.min_longitude, longitude);
+    stats.max_longitude = stats.max_longitude === null ? longitude : Math.max(stats.max_longitude, longitude);
+
+    firstTime = firstTime === null ? time : Math.min(firstTime, time);
+    lastTime = lastTime === null ? time : Math.max(lastTime, time);
+
+    if (previous && previous.segment === point.segment) {
+      stats.distance_m += haversineDistance(previous.latitude, previous.longitude, latitude, longitude);
+
+      if (previous.elevation !== null && point.elevation !== null && point.elevation !== undefined) {
+        const change = Number(point.elevation) - previous.elevation;
+        if (change > 0) {
+          stats.elevation_gain_m += change;
+        } else {
+          stats.elevation_loss_m -= change;
+        }
+      }
+    }
+
+    previous = {
+      segment: point.segment,
+      latitude,
+      longitude,
+      elevation: point.elevation === null || point.elevation === undefined ? null : Number(point.elevation),
+    };
+  }
+
+  if (firstTime !== null) {
+    stats.duration_s = (lastTime - firstTime) / 1000;
+  }
+
+  return stats;
+};
+
+// Format a latitude or longitude in degrees, minutes and seconds, e.g.
+// formatDMS(26.516654, 'latitude') -> 26°30'59.95"N
+export const formatDMS = (value, axis, secondDecimals = 2) => {
+  const degrees = Number(value);
+  if (!Number.isFinite(degrees)) return '';
+
+  const hemisphere = axis === 'latitude'
+    ? (degrees < 0 ? 'S' : 'N')
+    : (degrees < 0 ? 'W' : 'E');
+
+  // Round once on total seconds so 59.999" carries into the next minute
+  const scale = 10 ** secondDecimals;
+  const totalSeconds = Math.round(Math.abs(degrees) * 3600 * scale) / scale;
+  const wholeDegrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - wholeDegrees * 3600) / 60);
+  const seconds = totalSeconds - wholeDegrees * 3600 - minutes * 60;
+
+  return `${wholeDegrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(secondDecimals).padStart(secondDecimals + 3, '0')}"${hemisphere}`;
+};
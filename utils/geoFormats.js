@@ -0,0 +1,357 @@
+import { XMLParser } from 'fast-xml-parser';
+
+// Serialization and parsing of waypoints as GPX 1.1, KML 2.2 and GeoJSON.
+// Parsers return { waypoints, rejected }, where each rejected entry has the
+// zero-based `index` of the feature in the file, its `name` and an `error`.
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+};
+
+const GPX_EXTENSIONS_NS = 'https://terr-aqua-survey-platform.vercel.app/xmlschemas/waypoint/1';
+const CREATOR = 'Terr-Aqua Survey Platform';
+const MAX_NAME_LENGTH = 255;
+const MAX_URL_LENGTH = 2048;
+
+// Most features one file may hold; all of them are imported in one transaction
+export const MAX_IMPORT_FEATURES = 5000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Optional XML element, omitted when the value is empty
+const element = (tag, value) =>
+  value === null || value === undefined || value === '' ? '' : `<${tag}>${escapeXml(value)}</${tag}>`;
+
+export const toGPX = (waypoints) => {
+  const wpts = waypoints.map((waypoint) => {
+    const extensions = [
+      element('tas:id', waypoint.id),
+      element('tas:image_url', waypoint.image_url),
+      element('tas:created_at', toIsoString(waypoint.created_at)),
+      element('tas:updated_at', toIsoString(waypoint.updated_at)),
+    ].join('');
+
+    return [
+      `  <wpt lat="${Number(waypoint.latitude)}" lon="${Number(waypoint.longitude)}">`,
+      element('ele', waypoint.elevation_m),
+      element('time', toIsoString(waypoint.created_at)),
+      element('name', waypoint.name),
+      element('desc', waypoint.notes),
+      waypoint.image_url ? `<link href="${escapeXml(waypoint.image_url)}"><text>Photo</text></link>` : '',
+      `<extensions>${extensions}</extensions>`,
+      '</wpt>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tas="${GPX_EXTENSIONS_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+    `  <metadata><time>${new Date().toISOString()}</time></metadata>`,
+    ...wpts,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+// A route plan as a GPX route: one <rte> whose <rtept>s are the start point
+// (if any) and the stops in visiting order
+export const toGPXRoute = (plan, points) => {
+  const rtepts = points.map((point) => {
+    const extensions = point.waypoint_id ? `<extensions>${element('tas:id', point.waypoint_id)}</extensions>` : '';
+    return [
+      `    <rtept lat="${Number(point.latitude)}" lon="${Number(point.longitude)}">`,
+      element('name', point.name),
+      element('desc', point.notes),
+      extensions,
+      '</rtept>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tas="${GPX_EXTENSIONS_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+    `  <metadata><time>${new Date().toISOString()}</time></metadata>`,
+    `  <rte>${element('name', plan.name)}${element('desc', plan.notes)}${element('type', plan.travel_mode)}`,
+    ...rtepts,
+    '  </rte>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+export const toKML = (waypoints, documentName = 'Waypoints') => {
+  const placemarks = waypoints.map((waypoint) => {
+    const data = ['notes', 'image_url', 'created_at', 'updated_at']
+      .map((field) => {
+        const value = field.endsWith('_at') ? toIsoString(waypoint[field]) : waypoint[field];
+        return value ? `<Data name="${field}"><value>${escapeXml(value)}</value></Data>` : '';
+      })
+      .join('');
+
+    return [
+      '    <Placemark>',
+      element('name', waypoint.name),
+      element('description', waypoint.notes),
+      waypoint.created_at ? `<TimeStamp><when>${toIsoString(waypoint.created_at)}</when></TimeStamp>` : '',
+      `<ExtendedData>${data}</ExtendedData>`,
+      `<Point><coordinates>${Number(waypoint.longitude)},${Number(waypoint.latitude)}</coordinates></Point>`,
+      '</Placemark>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    ${element('name', documentName)}`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+export const toGeoJSON = (waypoints) => ({
+  type: 'FeatureCollection',
+  features: waypoints.map((waypoint) => ({
+    type: 'Feature',
+    id: waypoint.id,
+    geometry: {
+      type: 'Point',
+      coordinates: [Number(waypoint.longitude), Number(waypoint.latitude)],
+    },
+    properties: {
+      name: waypoint.name,
+      notes: waypoint.notes,
+      image_url: waypoint.image_url,
+      elevation_m: waypoint.elevation_m ?? null,
+      project_id: waypoint.project_id,
+      created_at: toIsoString(waypoint.created_at),
+      updated_at: toIsoString(waypoint.updated_at),
+    },
+  })),
+});
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+});
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Text content of a parsed XML node, whether it has attributes or not
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : null;
+  return String(node);
+};
+
+// Validate and normalize one imported waypoint, returning an error message or null
+const checkWaypoint = (waypoint) => {
+  if (!Number.isFinite(waypoint.latitude) || waypoint.latitude < -90 || waypoint.latitude > 90) {
+    return 'Latitude must be a number between -90 and 90';
+  }
+  if (!Number.isFinite(waypoint.longitude) || waypoint.longitude < -180 || waypoint.longitude > 180) {
+    return 'Longitude must be a number between -180 and 180';
+  }
+  if (!waypoint.name) {
+    return 'Name is required';
+  }
+  if (waypoint.name.length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (waypoint.image_url !== null && waypoint.image_url !== undefined) {
+    // Same rules as waypointSchema's image_url
+    if (typeof waypoint.image_url !== 'string' || !/^https?:\/\/\S+$/i.test(waypoint.image_url.trim())) {
+      return 'Image URL must be an http(s) URL';
+    }
+    if (waypoint.image_url.length > MAX_URL_LENGTH) {
+      return `Image URL must be at most ${MAX_URL_LENGTH} characters`;
+    }
+    waypoint.image_url = waypoint.image_url.trim();
+  }
+  if (waypoint.created_at !== null && waypoint.created_at !== undefined) {
+    // GeoJSON may hold epoch milliseconds; stored as an ISO string either way
+    const date = ['string', 'number'].includes(typeof waypoint.created_at) ? new Date(waypoint.created_at) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return 'Invalid timestamp';
+    }
+    waypoint.created_at = date.toISOString();
+  }
+  return null;
+};
+
+const collect = (candidates) => {
+  if (candidates.length > MAX_IMPORT_FEATURES) {
+    throw new Error(`A file can hold at most ${MAX_IMPORT_FEATURES} waypoints`);
+  }
+
+  const waypoints = [];
+  const rejected = [];
+
+  candidates.forEach((candidate, index) => {
+    const error = candidate.error || checkWaypoint(candidate.waypoint);
+    if (error) {
+      rejected.push({ index, name: candidate.waypoint?.name || null, error });
+    } else {
+      waypoints.push(candidate.waypoint);
+    }
+  });
+
+  return { waypoints, rejected };
+};
+
+const parseXml = (text) => {
+  try {
+    return xmlParser.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid XML: ${error.message}`);
+  }
+};
+
+export const parseGPX = (text) => {
+  const document = parseXml(text);
+  if (!document.gpx) {
+    throw new Error('Not a GPX file');
+  }
+
+  const candidates = asArray(document.gpx.wpt).map((wpt) => {
+    const extensions = wpt.extensions || {};
+    return {
+      waypoint: {
+        name: textOf(wpt.name)?.trim() || null,
+        latitude: parseFloat(wpt['@_lat']),
+        longitude: parseFloat(wpt['@_lon']),
+        notes: textOf(wpt.desc) || textOf(wpt.cmt) || null,
+        image_url: textOf(extensions.image_url) || asArray(wpt.link)[0]?.['@_href'] || null,
+        created_at: textOf(extensions.created_at) || textOf(wpt.time) || null,
+      },
+    };
+  });
+
+  return collect(candidates);
+};
+
+// Placemarks can be nested anywhere below Document and Folder elements
+const findPlacemarks = (node, found = []) => {
+  if (!node || typeof node !== 'object') return found;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'Placemark') {
+      found.push(...asArray(value));
+    } else if (key === 'Document' || key === 'Folder') {
+      asArray(value).forEach((child) => findPlacemarks(child, found));
+    }
+  }
+  return found;
+};
+
+export const parseKML = (text) => {
+  const document = parseXml(text);
+  if (!document.kml) {
+    throw new Error('Not a KML file');
+  }
+
+  const candidates = findPlacemarks(document.kml).map((placemark) => {
+    const name = textOf(placemark.name)?.trim() || null;
+    const coordinates = textOf(placemark.Point?.coordinates);
+
+    if (!coordinates) {
+      return { waypoint: { name }, error: 'Only Point placemarks are supported' };
+    }
+
+    const [longitude, latitude] = coordinates.trim().split(/[\s,]+/).map(parseFloat);
+    const data = {};
+    for (const entry of asArray(placemark.ExtendedData?.Data)) {
+      data[entry['@_name']] = textOf(entry.value);
+    }
+
+    return {
+      waypoint: {
+        name,
+        latitude,
+        longitude,
+        notes: data.notes || textOf(placemark.description) || null,
+        image_url: data.image_url || null,
+        created_at: data.created_at || textOf(placemark.TimeStamp?.when) || null,
+      },
+    };
+  });
+
+  return collect(candidates);
+};
+
+export const parseGeoJSON = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  let features;
+  if (document?.type === 'FeatureCollection' && Array.isArray(document.features)) {
+    features = document.features;
+  } else if (document?.type === 'Feature') {
+    features = [document];
+  } else {
+    throw new Error('Not a GeoJSON Feature or FeatureCollection');
+  }
+
+  const candidates = features.map((feature) => {
+    const properties = feature?.properties || {};
+    const name = typeof properties.name === 'string' ? properties.name.trim() : null;
+
+    if (feature?.geometry?.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) {
+      return { waypoint: { name }, error: 'Only Point geometries are supported' };
+    }
+
+    const [longitude, latitude] = feature.geometry.coordinates;
+    return {
+      waypoint: {
+        name,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        notes: properties.notes ?? properties.description ?? null,
+        image_url: properties.image_url ?? null,
+        created_at: properties.created_at ?? null,
+      },
+    };
+  });
+
+  return collect(candidates);
+};
+
+// Work out the import format from the file name or, failing that, its content
+export const detectFormat = (filename = '', text = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'gpx' || extension === 'kml') return extension;
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const start = text.trimStart().slice(0, 512);
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  return null;
+};
+
+export const PARSERS = {
+  gpx: parseGPX,
+  kml: parseKML,
+  geojson: parseGeoJSON,
+};
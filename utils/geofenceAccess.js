@@ -0,0 +1,30 @@
+import pool from '../database/connection.js';
+
+// SQL fragments for querying geofences (aliased `g`) as seen by the user bound to $1.
+// A geofence is visible to its creator and, for project geofences, to the project's members.
+export const GEOFENCE_ACCESS_JOIN = 'LEFT JOIN project_members gpm ON gpm.project_id = g.project_id AND gpm.user_id = $1';
+
+export const GEOFENCE_ACCESS_COLUMN = `CASE
+    WHEN g.created_by = $1 THEN 'owner'
+    WHEN gpm.role IN ('owner', 'editor') THEN 'editor'
+    ELSE 'viewer'
+  END AS access`;
+
+export const GEOFENCE_VISIBLE_CONDITION = '(g.created_by = $1 OR gpm.user_id IS NOT NULL)';
+
+// Get a geofence the user can see, with an `access` field ('owner', 'editor' or 'viewer').
+// Returns null when it doesn't exist or isn't visible to the user.
+export const getAccessibleGeofence = async (geofenceId, userId) => {
+  const result = await pool.query(
+    `SELECT g.*, ${GEOFENCE_ACCESS_COLUMN}
+     FROM geofences g
+     ${GEOFENCE_ACCESS_JOIN}
+     WHERE g.id = $2 AND ${GEOFENCE_VISIBLE_CONDITION}`,
+    [userId, geofenceId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const canEditGeofence = (geofence) =>
+  geofence.access === 'owner' || geofence.access === 'editor';
@@ -0,0 +1,280 @@
+import pool from '../database/connection.js';
+import { checkSchema, latitudeRule, longitudeRule } from '../middleware/validate.js';
+import { EARTH_RADIUS_M, haversineDistance } from './geo.js';
+import { GEOFENCE_ACCESS_JOIN, GEOFENCE_VISIBLE_CONDITION } from './geofenceAccess.js';
+
+// Geofences and enter/exit detection.
+//
+// A geofence is either
+//   shape: 'polygon'  coordinates: GeoJSON Polygon coordinates, i.e. an outer
+//                     ring followed by optional holes, each a list of
+//                     [longitude, latitude] positions (closing position optional)
+//   shape: 'circle'   center_latitude, center_longitude, radius_m
+//
+// Containment is tested on plain latitude/longitude, which is accurate for
+// survey-sized areas. Polygons must not cross the antimeridian.
+
+export const GEOFENCE_CATEGORIES = ['survey_zone', 'restricted', 'shoreline_buffer', 'other'];
+export const GEOFENCE_SHAPES = ['polygon', 'circle'];
+
+export const MAX_POLYGON_VERTICES = 10000;
+export const MAX_RADIUS_M = 100000;
+
+// Maximum number of positions evaluated in one report
+export const MAX_POSITIONS_PER_REPORT = 5000;
+
+// Namespace of the advisory lock taken while evaluating a user's positions
+const GEOFENCE_LOCK_NAMESPACE = 19;
+
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_M) / 180;
+
+const circleSchema = {
+  center_latitude: { ...latitudeRule, required: true },
+  center_longitude: { ...longitudeRule, required: true },
+  radius_m: { type: 'number', required: true, min: 1, max: MAX_RADIUS_M },
+};
+
+export const positionSchema = {
+  latitude: { ...latitudeRule, required: true },
+  longitude: { ...longitudeRule, required: true },
+  recorded_at: { type: 'string', maxLength: 50 },
+};
+
+const isPosition = (position) =>
+  Array.isArray(position) && position.length >= 2 &&
+  typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+  typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+
+// Validate polygon rings, returning [details, rings without closing positions]
+const checkRings = (coordinates) => {
+  const invalid = (message) => [[{ location: 'body', field: 'coordinates', message }], null];
+
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return invalid('must be GeoJSON Polygon coordinates: an outer ring and optional holes');
+  }
+
+  const rings = [];
+  let vertices = 0;
+  for (const ring of coordinates) {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) {
+      return invalid('must contain rings of [longitude, latitude] positions');
+    }
+
+    const points = ring.map(([longitude, latitude]) => [longitude, latitude]);
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+      points.pop();
+    }
+    if (points.length < 3) {
+      return invalid('rings must have at least 3 distinct positions');
+    }
+
+    vertices += points.length;
+    rings.push(points);
+  }
+
+  if (vertices > MAX_POLYGON_VERTICES) {
+    return invalid(`must have at most ${MAX_POLYGON_VERTICES} positions`);
+  }
+
+  return [[], rings];
+};
+
+// Validate the shape of a geofence in a request body, returning
+// { details, geometry } where geometry holds the shape columns and bounding box
+export const checkGeometry = (body) => {
+  const { shape } = body;
+
+  if (shape === 'polygon') {
+    const [details, rings] = checkRings(body.coordinates);
+    if (details.length > 0) return { details, geometry: null };
+
+    const latitudes = rings[0].map(([, latitude]) => latitude);
+    const longitudes = rings[0].map(([longitude]) => longitude);
+    return {
+      details,
+      geometry: {
+        shape,
+        coordinates: rings,
+        center_latitude: null,
+        center_longitude: null,
+        radius_m: null,
+        min_latitude: Math.min(...latitudes),
+        min_longitude: Math.min(...longitudes),
+        max_latitude: Math.max(...latitudes),
+        max_longitude: Math.max(...longitudes),
+      },
+    };
+  }
+
+  const { details, values } = checkSchema(body, circleSchema, 'body');
+  if (details.length > 0) return { details, geometry: null };
+
+  const { center_latitude, center_longitude, radius_m } = values;
+  const latitudeSpan = radius_m / METERS_PER_DEGREE;
+  const cosine = Math.cos((Math.min(89, Math.abs(center_latitude) + latitudeSpan) * Math.PI) / 180);
+  const longitudeSpan = Math.min(180, latitudeSpan / cosine);
+  // A circle crossing the antimeridian would need two boxes; give it every
+  // longitude instead, so the prefilter only narrows it by latitude
+  const crossesAntimeridian = Math.abs(center_longitude) + longitudeSpan > 180;
+
+  return {
+    details,
+    geometry: {
+      shape,
+      coordinates: null,
+      center_latitude,
+      center_longitude,
+      radius_m,
+      min_latitude: Math.max(-90, center_latitude - latitudeSpan),
+      min_longitude: crossesAntimeridian ? -180 : center_longitude - longitudeSpan,
+      max_latitude: Math.min(90, center_latitude + latitudeSpan),
+      max_longitude: crossesAntimeridian ? 180 : center_longitude + longitudeSpan,
+    },
+  };
+};
+
+// Ray casting test of a point against one ring of [longitude, latitude] positions
+const ringContains = (ring, latitude, longitude) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) &&
+        longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a geofence row contains a point
+export const geofenceContains = (geofence, latitude, longitude) => {
+  if (latitude < geofence.min_latitude || latitude > geofence.max_latitude ||
+      longitude < geofence.min_longitude || longitude > geofence.max_longitude) {
+    return false;
+  }
+
+  if (geofence.shape === 'circle') {
+    return haversineDistance(
+      Number(geofence.center_latitude), Number(geofence.center_longitude), latitude, longitude
+    ) <= geofence.radius_m;
+  }
+
+  const [outer, ...holes] = geofence.coordinates;
+  return ringContains(outer, latitude, longitude) &&
+    !holes.some((hole) => ringContains(hole, latitude, longitude));
+};
+
+// Check reported positions against the user's active geofences and record an
+// enter or exit event whenever the user crosses one. Positions are evaluated
+// in time order; positions older than the last one seen for a geofence (e.g.
+// a late offline upload) are skipped. Returns the recorded events.
+export const recordPositions = async (userId, positions, { trackId = null } = {}) => {
+  const ordered = positions
+    .map((position) => ({
+      latitude: Number(position.latitude),
+      longitude: Number(position.longitude),
+      recorded_at: position.recorded_at ?? new Date().toISOString(),
+    }))
+    .map((position) => ({ ...position, time: new Date(position.recorded_at).getTime() }))
+    .sort((a, b) => a.time - b.time);
+
+  if (ordered.length === 0) return [];
+
+  const latitudes = ordered.map((position) => position.latitude);
+  const longitudes = ordered.map((position) => position.longitude);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Concurrent reports from the same user are evaluated one after the other,
+    // so a crossing can't be recorded twice
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [GEOFENCE_LOCK_NAMESPACE, userId]);
+
+    // Geofences near the positions, plus any the user is inside of (to detect exits)
+    const fencesResult = await client.query(
+      `SELECT g.*, s.inside, s.recorded_at AS state_recorded_at
+       FROM geofences g
+       ${GEOFENCE_ACCESS_JOIN}
+       LEFT JOIN geofence_states s ON s.geofence_id = g.id AND s.user_id = $1
+       WHERE g.active AND ${GEOFENCE_VISIBLE_CONDITION}
+         AND (s.inside OR (g.max_latitude >= $2 AND g.min_latitude <= $3
+                           AND g.max_longitude >= $4 AND g.min_longitude <= $5))`,
+      [userId, Math.min(...latitudes), Math.max(...latitudes), Math.min(...longitudes), Math.max(...longitudes)]
+    );
+
+    const events = [];
+    const states = [];
+    for (const fence of fencesResult.rows) {
+      // Without a state the user is taken to start outside
+      let inside = fence.inside ?? false;
+      let last = null;
+
+      for (const position of ordered) {
+        if (fence.state_recorded_at && position.time <= fence.state_recorded_at.getTime()) continue;
+        last = position;
+
+        const contains = geofenceContains(fence, position.latitude, position.longitude);
+        if (contains !== inside) {
+          inside = contains;
+          events.push({ geofence: fence, event: contains ? 'enter' : 'exit', position });
+        }
+      }
+
+      if (last) {
+        states.push([fence.id, userId, inside, last.recorded_at]);
+      }
+    }
+
+    if (states.length > 0) {
+      const values = [];
+      const placeholders = states.map((state, index) => {
+        values.push(...state);
+        const offset = index * 4;
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+      });
+
+      await client.query(
+        `INSERT INTO geofence_states (geofence_id, user_id, inside, recorded_at)
+         VALUES ${placeholders.join(', ')}
+         ON CONFLICT (user_id, geofence_id)
+         DO UPDATE SET inside = EXCLUDED.inside, recorded_at = EXCLUDED.recorded_at`,
+        values
+      );
+    }
+
+    let recorded = [];
+    if (events.length > 0) {
+      const values = [];
+      const placeholders = events.map(({ geofence, event, position }, index) => {
+        values.push(geofence.id, userId, event, position.latitude, position.longitude, position.recorded_at, trackId);
+        const offset = index * 7;
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+      });
+
+      const result = await client.query(
+        `INSERT INTO geofence_events (geofence_id, user_id, event, latitude, longitude, recorded_at, track_id)
+         VALUES ${placeholders.join(', ')}
+         RETURNING *`,
+        values
+      );
+
+      const fences = new Map(fencesResult.rows.map((fence) => [fence.id, fence]));
+      recorded = result.rows.map((row) => ({
+        ...row,
+        geofence_name: fences.get(row.geofence_id).name,
+        category: fences.get(row.geofence_id).category,
+      }));
+    }
+
+    await client.query('COMMIT');
+    return recorded;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
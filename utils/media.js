@@ -0,0 +1,136 @@
+import pool from '../database/connection.js';
+import { getStorageProvider } from '../services/storage/index.js';
+import { RETENTION_DAYS } from './waypointHistory.js';
+
+// Store an uploaded file with the configured provider and record it in media_files
+export const saveMedia = async (file, { folder, userId, optimizeImage = false, db = pool }) => {
+  const provider = getStorageProvider();
+  const stored = await provider.put(file.buffer, {
+    folder,
+    filename: file.originalname,
+    mimeType: file.mimetype,
+    optimizeImage,
+  });
+
+  const result = await db.query(
+    `INSERT INTO media_files (user_id, provider, storage_key, url, mime_type, size_bytes, original_filename)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId || null, provider.name, stored.key, stored.url, file.mimetype, file.size, file.originalname || null]
+  );
+
+  return result.rows[0];
+};
+
+// Waypoint versions from within the retention window that used the image at
+// the URL in `urlSql`; they keep it available for restoring
+const recentHistoryReferences = (urlSql) => `(SELECT COUNT(*) FROM waypoint_history rh
+    WHERE rh.after->>'image_url' = ${urlSql}
+      AND rh.created_at > CURRENT_TIMESTAMP - make_interval(days => ${RETENTION_DAYS}))`;
+
+// Number of waypoints, recent waypoint versions and attachments using a
+// media_files row aliased as m. Deleted waypoints count until they are purged.
+export const MEDIA_REFERENCE_COUNT = `(
+  (SELECT COUNT(*) FROM waypoints rw WHERE rw.image_url = m.url) +
+  ${recentHistoryReferences('m.url')} +
+  (SELECT COUNT(*) FROM waypoint_attachments ra WHERE ra.media_id = m.id)
+)::int`;
+
+// Remove a file from its provider and forget it
+export const deleteMedia = async (media) => {
+  await getStorageProvider(media.provider).delete(media.storage_key);
+  await pool.query('DELETE FROM media_files WHERE id = $1', [media.id]);
+};
+
+// Delete a file once nothing references it any more. With `ownerId` only a
+// file uploaded by that user is deleted. Returns whether it was deleted.
+export const releaseMedia = async (mediaId, { ownerId } = {}) => {
+  const result = await pool.query(
+    `SELECT m.*, ${MEDIA_REFERENCE_COUNT} AS reference_count
+     FROM media_files m WHERE m.id = $1`,
+    [mediaId]
+  );
+  const media = result.rows[0];
+
+  if (!media || media.reference_count > 0) {
+    return false;
+  }
+  if (ownerId !== undefined && media.user_id !== ownerId) {
+    return false;
+  }
+
+  await deleteMedia(media);
+  return true;
+};
+
+// Release the file behind a URL, such as a waypoint's previous image_url,
+// if it was uploaded by `ownerId` (the waypoint's owner). Clients can point
+// image_url at any URL, so a file someone else uploaded is never deleted this
+// way. Neither are files uploaded before media_files existed, until
+// `npm run backfill-media` records them with their waypoint's owner.
+export const releaseMediaUrl = async (url, ownerId) => {
+  if (!url || !ownerId) return;
+
+  const result = await pool.query(
+    'SELECT id FROM media_files WHERE url = $1 AND user_id = $2',
+    [url, ownerId]
+  );
+  for (const media of result.rows) {
+    await releaseMedia(media.id, { ownerId });
+  }
+};
+
+// Release the file of a deleted attachment
+export const releaseAttachmentMedia = async (attachment) => {
+  if (attachment.media_id) {
+    await releaseMedia(attachment.media_id);
+  } else if (attachment.public_id) {
+    await getStorageProvider('cloudinary').delete(`${attachment.resource_type || 'image'}:${attachment.public_id}`);
+  }
+};
+
+// Files nothing references that were uploaded more than `graceHours` ago.
+// The grace period leaves time to attach a fresh upload to a waypoint.
+export const findOrphanedMedia = async ({ graceHours }) => {
+  const result = await pool.query(
+    `SELECT m.*
+     FROM media_files m
+     WHERE m.created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+       AND ${MEDIA_REFERENCE_COUNT} = 0
+     ORDER BY m.created_at ASC`,
+    [graceHours]
+  );
+  return result.rows;
+};
+
+// Delete orphaned files, or with `dryRun` only report what would be deleted
+export const cleanupOrphanedMedia = async ({ graceHours, dryRun = false }) => {
+  const orphans = await findOrphanedMedia({ graceHours });
+  const report = {
+    dry_run: dryRun,
+    grace_hours: graceHours,
+    orphaned: orphans.length,
+    orphaned_bytes: orphans.reduce((total, media) => total + (media.size_bytes || 0), 0),
+    deleted: 0,
+    failed: [],
+    files: orphans.map(({ id, user_id, provider, storage_key, url, size_bytes, created_at }) =>
+      ({ id, user_id, provider, storage_key, url, size_bytes, created_at })),
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  for (const media of orphans) {
+    try {
+      // Re-checks references in case the file was attached since the scan
+      if (await releaseMedia(media.id)) {
+        report.deleted += 1;
+      }
+    } catch (error) {
+      report.failed.push({ id: media.id, error: error.message });
+    }
+  }
+
+  return report;
+};
@@ -0,0 +1,30 @@
+// Keyset (cursor) pagination helpers.
+// A cursor records the sort it was issued for and the sort value and id of the
+// last row on the page, so the next page starts right after that row even when
+// rows are inserted or deleted in between.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+export const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Returns the decoded cursor object, or null if it is malformed
+export const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return cursor && typeof cursor === 'object' && cursor.id !== undefined ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+// Parse ?limit=, returning the page size or null if invalid
+export const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_PAGE_SIZE;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE ? limit : null;
+};
+
+// Escape LIKE wildcards so user search text matches literally
+export const likePattern = (text) => `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
@@ -0,0 +1,80 @@
+import pool from '../database/connection.js';
+
+// Map preferences, saved per user, per project and once globally. Each
+// setting is resolved separately from the most specific scope that sets it:
+// project, then user, then global, then the built-in defaults below.
+
+export const UNITS = ['metric', 'imperial', 'nautical'];
+export const COORDINATE_DISPLAY_FORMATS = ['dd', 'dms', 'utm', 'mgrs'];
+
+export const PREFERENCE_FIELDS = [
+  'home_name',
+  'home_latitude',
+  'home_longitude',
+  'default_zoom',
+  'base_layer',
+  'units',
+  'coordinate_format',
+];
+
+// Used when no scope sets a value. The home location is the app's original
+// fallback position for when GPS is unavailable.
+export const BUILT_IN_PREFERENCES = {
+  home_name: 'Default Location',
+  home_latitude: 26.516654,
+  home_longitude: 80.231507,
+  default_zoom: 13,
+  base_layer: 'streets',
+  units: 'metric',
+  coordinate_format: 'dd',
+};
+
+// Stored preferences of one scope, or null if none are saved
+export const getStoredPreferences = async (scope, id = null) => {
+  const column = { user: 'user_id', project: 'project_id' }[scope];
+  const result = await pool.query(
+    `SELECT * FROM preferences
+     WHERE scope = $1 ${column ? `AND ${column} = $2` : ''}`,
+    column ? [scope, id] : [scope]
+  );
+  return result.rows[0] || null;
+};
+
+// Combine the stored scopes into the effective preferences, with the scope
+// each value came from:
+//   { home_name, ..., coordinate_format, sources: { home_name: 'user', ... } }
+// The home name and coordinates always come from the same scope.
+export const resolvePreferences = ({ global = null, user = null, project = null }) => {
+  const scopes = [['project', project], ['user', user], ['global', global]];
+  const resolved = {};
+  const sources = {};
+
+  const pick = (fields, isSet) => {
+    const [scope, stored] = scopes.find(([, row]) => row && isSet(row)) || ['default', BUILT_IN_PREFERENCES];
+    for (const field of fields) {
+      resolved[field] = stored[field] ?? null;
+      sources[field] = scope;
+    }
+  };
+
+  pick(['home_name', 'home_latitude', 'home_longitude'], (row) => row.home_latitude !== null);
+  for (const field of ['default_zoom', 'base_layer', 'units', 'coordinate_format']) {
+    pick([field], (row) => row[field] !== null);
+  }
+
+  // DECIMAL columns come back from pg as strings
+  resolved.home_latitude = Number(resolved.home_latitude);
+  resolved.home_longitude = Number(resolved.home_longitude);
+
+  return { ...resolved, sources };
+};
+
+// Effective preferences for a user, optionally within a project
+export const getEffectivePreferences = async (userId, projectId = null) => {
+  const [global, user, project] = await Promise.all([
+    getStoredPreferences('global'),
+    userId ? getStoredPreferences('user', userId) : null,
+    projectId ? getStoredPreferences('project', projectId) : null,
+  ]);
+  return resolvePreferences({ global, user, project });
+};
@@ -0,0 +1,19 @@
+import pool from '../database/connection.js';
+
+export const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+// Higher rank grants everything a lower rank can do
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export const hasProjectRole = (role, minimumRole) =>
+  Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+
+// Get the user's role in a project, or null if they aren't a member
+export const getProjectRole = async (projectId, userId) => {
+  const result = await pool.query(
+    'SELECT role FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, userId]
+  );
+
+  return result.rows[0]?.role || null;
+};
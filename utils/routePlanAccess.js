@@ -0,0 +1,30 @@
+import pool from '../database/connection.js';
+
+// SQL fragments for querying route plans (aliased `rp`) as seen by the user bound to $1.
+// A plan is visible to its creator and, for project plans, to the project's members.
+export const ROUTE_PLAN_ACCESS_JOIN = 'LEFT JOIN project_members rpm ON rpm.project_id = rp.project_id AND rpm.user_id = $1';
+
+export const ROUTE_PLAN_ACCESS_COLUMN = `CASE
+    WHEN rp.created_by = $1 THEN 'owner'
+    WHEN rpm.role IN ('owner', 'editor') THEN 'editor'
+    ELSE 'viewer'
+  END AS access`;
+
+export const ROUTE_PLAN_VISIBLE_CONDITION = '(rp.created_by = $1 OR rpm.user_id IS NOT NULL)';
+
+// Get a route plan the user can see, with an `access` field ('owner', 'editor' or 'viewer').
+// Returns null when it doesn't exist or isn't visible to the user.
+export const getAccessibleRoutePlan = async (planId, userId) => {
+  const result = await pool.query(
+    `SELECT rp.*, ${ROUTE_PLAN_ACCESS_COLUMN}
+     FROM route_plans rp
+     ${ROUTE_PLAN_ACCESS_JOIN}
+     WHERE rp.id = $2 AND ${ROUTE_PLAN_VISIBLE_CONDITION}`,
+    [userId, planId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const canEditRoutePlan = (plan) =>
+  plan.access === 'owner' || plan.access === 'editor';
@@ -0,0 +1,91 @@
+import { haversineDistance, initialBearing } from './geo.js';
+
+// Route plans: distances, bearings, travel time and stop ordering.
+// Distances are great-circle distances between consecutive points, so they
+// are a lower bound on the distance actually travelled.
+
+// Travel speeds in km/h, configurable per mode
+export const TRAVEL_MODES = {
+  walk: Number(process.env.TRAVEL_SPEED_WALK_KMH) || 4.5,
+  boat: Number(process.env.TRAVEL_SPEED_BOAT_KMH) || 15,
+  vehicle: Number(process.env.TRAVEL_SPEED_VEHICLE_KMH) || 40,
+};
+
+export const MAX_PLAN_STOPS = 200;
+
+const pointDistance = (a, b) =>
+  haversineDistance(Number(a.latitude), Number(a.longitude), Number(b.latitude), Number(b.longitude));
+
+// Legs between consecutive points, each with its distance, initial bearing and
+// travel time, and the route's totals. Points are { waypoint_id, latitude,
+// longitude }, with a null waypoint_id for the start point.
+export const computeRoute = (points, speedKmh) => {
+  const metersPerSecond = (speedKmh * 1000) / 3600;
+
+  const legs = points.slice(1).map((to, index) => {
+    const from = points[index];
+    const distance = pointDistance(from, to);
+    return {
+      from_waypoint_id: from.waypoint_id,
+      to_waypoint_id: to.waypoint_id,
+      distance_m: distance,
+      bearing_deg: initialBearing(Number(from.latitude), Number(from.longitude), Number(to.latitude), Number(to.longitude)),
+      duration_s: distance / metersPerSecond,
+    };
+  });
+
+  const totalDistance = legs.reduce((total, leg) => total + leg.distance_m, 0);
+
+  return {
+    legs,
+    total_distance_m: totalDistance,
+    estimated_duration_s: totalDistance / metersPerSecond,
+  };
+};
+
+// Reorder stops to shorten the route from `start` (or, without one, from the
+// first stop): a nearest-neighbour tour improved with 2-opt until no reversal
+// of a stretch of stops makes it shorter. Not guaranteed optimal, but close
+// for the few dozen stations of a day's round.
+export const optimizeStopOrder = (start, stops) => {
+  if (stops.length < 3 && !start) return [...stops];
+
+  const origin = start || stops[0];
+  const remaining = start ? [...stops] : stops.slice(1);
+  const ordered = start ? [] : [stops[0]];
+
+  let current = origin;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (pointDistance(current, remaining[i]) < pointDistance(current, remaining[nearest])) {
+        nearest = i;
+      }
+    }
+    current = remaining.splice(nearest, 1)[0];
+    ordered.push(current);
+  }
+
+  // The first point (the start, or else the first stop) stays in place
+  const route = start ? [start, ...ordered] : ordered;
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        // Reversing route[i..j] replaces edges (i-1, i) and (j, j+1)
+        const before = pointDistance(route[i - 1], route[i]) +
+          (j + 1 < route.length ? pointDistance(route[j], route[j + 1]) : 0);
+        const after = pointDistance(route[i - 1], route[j]) +
+          (j + 1 < route.length ? pointDistance(route[i], route[j + 1]) : 0);
+        if (after < before - 1e-6) {
+          route.splice(i, j - i + 1, ...route.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return start ? route.slice(1) : route;
+};
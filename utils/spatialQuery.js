@@ -0,0 +1,163 @@
+import { EARTH_RADIUS_M } from './geo.js';
+
+// Spatial filters for waypoint queries on plain PostgreSQL (no PostGIS).
+// Bounding boxes are matched against the GiST index on
+// point(longitude, latitude) from database/spatial_schema.sql; distances are
+// great-circle (haversine) distances in meters computed in SQL.
+
+// Must match the indexed expression exactly for the index to be used
+const LOCATION_POINT = 'point(w.longitude::float8, w.latitude::float8)';
+
+const METERS_PER_DEGREE = (EARTH_RADIUS_M * Math.PI) / 180;
+export const MAX_NEAREST = 1000;
+
+const parseNumberList = (value, count) => {
+  if (typeof value !== 'string') return null;
+  const numbers = value.split(',').map((part) => Number(part.trim()));
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const validLatitude = (latitude) => latitude >= -90 && latitude <= 90;
+const validLongitude = (longitude) => longitude >= -180 && longitude <= 180;
+
+// SQL matching points inside a lon/lat box. Boxes crossing the antimeridian
+// (minLon > maxLon) are split in two.
+const boxCondition = (minLon, minLat, maxLon, maxLat, params) => {
+  const boxes = minLon <= maxLon
+    ? [[minLon, maxLon]]
+    : [[minLon, 180], [-180, maxLon]];
+
+  const conditions = boxes.map(([west, east]) => {
+    params.push(west, minLat, east, maxLat);
+    const n = params.length;
+    return `${LOCATION_POINT} <@ box(point($${n - 3}, $${n - 2}), point($${n - 1}, $${n}))`;
+  });
+
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+};
+
+// SQL for the great-circle distance in meters from the point bound at $latIndex/$lonIndex
+const distanceExpression = (latIndex, lonIndex) => `(2 * ${EARTH_RADIUS_M} * asin(least(1, sqrt(
+    power(sin(radians(w.latitude::float8 - $${latIndex}::float8) / 2), 2) +
+    cos(radians($${latIndex}::float8)) * cos(radians(w.latitude::float8)) *
+    power(sin(radians(w.longitude::float8 - $${lonIndex}::float8) / 2), 2)
+  ))))`;
+
+// SQL matching points within `radius` meters of latitude/longitude: the
+// indexed bounding box around the circle, then the exact distance
+export const radiusConditions = ({ latitude, longitude, distanceSql }, radius, params) => {
+  const latDelta = radius / METERS_PER_DEGREE;
+  const minLat = Math.max(-90, latitude - latDelta);
+  const maxLat = Math.min(90, latitude + latDelta);
+  const cosLat = Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180);
+  const lonDelta = cosLat > 0 ? latDelta / cosLat : 360;
+
+  const conditions = [];
+  if (lonDelta >= 180) {
+    conditions.push(boxCondition(-180, minLat, 180, maxLat, params));
+  } else {
+    const wrap = (lon) => ((lon + 540) % 360) - 180;
+    conditions.push(boxCondition(wrap(longitude - lonDelta), minLat, wrap(longitude + lonDelta), maxLat, params));
+  }
+
+  params.push(radius);
+  conditions.push(`${distanceSql} <= $${params.length}`);
+  return conditions;
+};
+
+// Parse the spatial query parameters of GET /api/waypoints:
+//   bbox=minLon,minLat,maxLon,maxLat   only waypoints inside the box
+//   near=lat,lon                        add `distance_m` to each row and sort by it
+//   radius=<meters>                     with near: only waypoints within the radius
+//   nearest=<N>                         with near: only the N closest waypoints
+// Appends bind values to `params` and returns { conditions, distanceColumn,
+// distanceSql, limit, nearest }, or { field, error } describing the first
+// invalid parameter. `nearest` is set for nearest=N without a radius: see
+// boundNearest.
+export const buildSpatialFilter = (query, params) => {
+  const conditions = [];
+  let distanceColumn = null;
+  let distanceSql = null;
+  let limit = null;
+  let nearest = null;
+
+  if (query.bbox !== undefined) {
+    const bbox = parseNumberList(query.bbox, 4);
+    if (!bbox) {
+      return { field: 'bbox', error: 'must be minLon,minLat,maxLon,maxLat' };
+    }
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    if (!validLongitude(minLon) || !validLongitude(maxLon) || !validLatitude(minLat) || !validLatitude(maxLat) || minLat > maxLat) {
+      return { field: 'bbox', error: 'is out of range' };
+    }
+    conditions.push(boxCondition(minLon, minLat, maxLon, maxLat, params));
+  }
+
+  if ((query.radius !== undefined || query.nearest !== undefined) && query.near === undefined) {
+    return { field: 'near', error: 'is required with radius and nearest' };
+  }
+
+  if (query.near !== undefined) {
+    const near = parseNumberList(query.near, 2);
+    if (!near || !validLatitude(near[0]) || !validLongitude(near[1])) {
+      return { field: 'near', error: 'must be lat,lon with lat between -90 and 90 and lon between -180 and 180' };
+    }
+    const [latitude, longitude] = near;
+
+    params.push(latitude, longitude);
+    distanceSql = distanceExpression(params.length - 1, params.length);
+    distanceColumn = `${distanceSql} AS distance_m`;
+    const center = { latitude, longitude, distanceSql };
+
+    if (query.radius !== undefined) {
+      const radius = Number(query.radius);
+      if (!Number.isFinite(radius) || radius <= 0) {
+        return { field: 'radius', error: 'must be a positive number of meters' };
+      }
+      conditions.push(...radiusConditions(center, radius, params));
+    }
+
+    if (query.nearest !== undefined) {
+      limit = Number(query.nearest);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEAREST) {
+        return { field: 'nearest', error: `must be an integer between 1 and ${MAX_NEAREST}` };
+      }
+      if (query.radius === undefined) {
+        nearest = {
+          ...center,
+          orderSql: `${LOCATION_POINT} <-> point($${params.length}::float8, $${params.length - 1}::float8)`,
+        };
+      }
+    }
+  }
+
+  return { conditions, distanceColumn, distanceSql, limit, nearest };
+};
+
+// Narrow nearest=N without a radius to a circle, so exact distances are only
+// computed inside its bounding box rather than for every row. `conditions` are
+// all the query's conditions on waypoints w (joined with `join`); `db` runs
+// the query. Any N matching rows hold the N nearest within the distance of
+// their farthest; the N closest in plain degrees, read off the GiST index's
+// KNN ordering, give a tight circle. Returns the conditions to add.
+export const boundNearest = async (spatial, { db, join, conditions, params }) => {
+  const result = await db.query(
+    `SELECT MAX(${spatial.nearest.distanceSql}) AS radius
+     FROM (
+       SELECT w.latitude, w.longitude
+       FROM waypoints w
+       ${join}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${spatial.nearest.orderSql}
+       LIMIT ${spatial.limit}
+     ) w`,
+    params
+  );
+
+  const radius = result.rows[0]?.radius;
+  if (radius === null || radius === undefined) {
+    return [];
+  }
+  // A millimetre more, so rounding can't drop the farthest row
+  return radiusConditions(spatial.nearest, Number(radius) + 0.001, params);
+};
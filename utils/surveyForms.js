@@ -0,0 +1,217 @@
+import { checkSchema } from '../middleware/validate.js';
+
+// Survey form templates and the observations recorded with them.
+//
+// A form's `fields` is an array of field definitions:
+//   key       identifier used in observation data, e.g. "water_depth"
+//   label     name shown to surveyors
+//   type      'number' | 'integer' | 'text' | 'boolean' | 'enum' | 'date'
+//   unit      unit of a numeric reading, e.g. "m" or "NTU"
+//   required  observations must include the field
+//   options   allowed values of an enum field
+//   min, max  allowed range of a numeric field
+//
+// Observation data is an object keyed by field key, e.g.
+//   { "water_depth": 1.8, "ph": 7.2, "habitat_class": "wetland" }
+
+export const FIELD_TYPES = ['number', 'integer', 'text', 'boolean', 'enum', 'date'];
+
+export const MAX_FORM_FIELDS = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether a YYYY-MM-DD string names a real day (rejects e.g. 2024-02-30)
+const isCalendarDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const fieldDefinitionSchema = {
+  key: { type: 'string', required: true, maxLength: 64, pattern: /^[a-z][a-z0-9_]*$/, message: 'must start with a letter and contain only lowercase letters, digits and _' },
+  label: { type: 'string', required: true, maxLength: 255 },
+  type: { type: 'string', required: true, enum: FIELD_TYPES },
+  unit: { type: 'string', maxLength: 50 },
+  description: { type: 'string', maxLength: 2000 },
+  required: { type: 'boolean' },
+  options: { type: 'array', minLength: 1, maxLength: 500 },
+  min: { type: 'number' },
+  max: { type: 'number' },
+};
+
+// Validate a form's field definitions, returning [details, normalized fields]
+export const checkFormFields = (fields) => {
+  const details = [];
+  const normalized = [];
+  const keys = new Set();
+
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FORM_FIELDS) {
+    return [[{ location: 'body', field: 'fields', message: `must be an array of 1 to ${MAX_FORM_FIELDS} field definitions` }], []];
+  }
+
+  fields.forEach((field, index) => {
+    const location = `fields[${index}]`;
+    const result = checkSchema(field, fieldDefinitionSchema, location);
+    details.push(...result.details);
+    if (result.details.length > 0) return;
+
+    const definition = { required: false, ...result.values };
+
+    if (keys.has(definition.key)) {
+      details.push({ location, field: 'key', message: 'must be unique within the form' });
+    }
+    keys.add(definition.key);
+
+    if (definition.type === 'enum') {
+      if (!definition.options || !definition.options.every((option) => typeof option === 'string' && option.trim() !== '')) {
+        details.push({ location, field: 'options', message: 'must list the allowed values of an enum field' });
+      }
+    } else if (definition.options !== undefined) {
+      details.push({ location, field: 'options', message: 'is only allowed for enum fields' });
+    }
+
+    const numeric = definition.type === 'number' || definition.type === 'integer';
+    if (!numeric && (definition.min !== undefined || definition.max !== undefined || definition.unit !== undefined)) {
+      details.push({ location, field: 'type', message: 'must be number or integer to have a unit, min or max' });
+    }
+    if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+      details.push({ location, field: 'min', message: 'must not be greater than max' });
+    }
+
+    normalized.push(definition);
+  });
+
+  return [details, normalized];
+};
+
+// Validation rule (see middleware/validate.js) for values of a form field
+const fieldRule = (field) => {
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      return { type: field.type, min: field.min, max: field.max };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'enum':
+      return { type: 'string', enum: field.options };
+    case 'date':
+      return { type: 'string', pattern: DATE_PATTERN, message: 'must be a date (YYYY-MM-DD)' };
+    case 'text':
+    default:
+      return { type: 'string', maxLength: 10000 };
+  }
+};
+
+// Validate observation data against a form, returning { details, values }.
+// Keys the form doesn't define are rejected.
+export const checkObservationData = (form, data, location = 'data') => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { details: [{ location: 'body', field: location, message: 'must be an object' }], values: {} };
+  }
+
+  const schema = Object.fromEntries(
+    form.fields.map((field) => [field.key, { ...fieldRule(field), required: field.required }])
+  );
+  const { details, values } = checkSchema(data, schema, location);
+
+  for (const key of Object.keys(data)) {
+    if (!schema[key]) {
+      details.push({ location, field: key, message: 'is not a field of this form' });
+    }
+  }
+
+  for (const field of form.fields) {
+    if (field.type === 'date' && values[field.key] !== undefined && !isCalendarDate(values[field.key])) {
+      details.push({ location, field: field.key, message: 'must be a valid date' });
+    }
+  }
+
+  return { details, values };
+};
+
+// SQL type observation values are compared as
+const SQL_CASTS = { number: 'numeric', integer: 'numeric', boolean: 'boolean', date: 'date', text: 'text', enum: 'text' };
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+const ORDERED_TYPES = ['number', 'integer', 'date'];
+
+// Build SQL conditions on observations (aliased `o`) from query parameters of
+// the form `<field key>.<operator>=<value>`, e.g. ph.gte=6.5 or
+// habitat_class.in=wetland,marsh. Operators: eq, ne, gt, gte, lt, lte (numbers
+// and dates), in (comma-separated list) and exists (true/false).
+// Values are added to `params`. Returns { conditions } or { details } on invalid input.
+export const buildObservationFilters = (form, query, params) => {
+  const conditions = [];
+  const details = [];
+  const fields = new Map(form.fields.map((field) => [field.key, field]));
+
+  for (const [name, rawValue] of Object.entries(query)) {
+    const match = /^([a-z][a-z0-9_]*)\.(eq|ne|gt|gte|lt|lte|in|exists)$/.exec(name);
+    if (!match) continue;
+
+    const [, key, operator] = match;
+    const field = fields.get(key);
+    if (!field) {
+      details.push({ location: 'query', field: name, message: 'is not a field of this form' });
+      continue;
+    }
+    if (typeof rawValue !== 'string') {
+      details.push({ location: 'query', field: name, message: 'must be given once' });
+      continue;
+    }
+
+    params.push(key);
+    const keyParam = `$${params.length}`;
+
+    if (operator === 'exists') {
+      if (rawValue !== 'true' && rawValue !== 'false') {
+        details.push({ location: 'query', field: name, message: 'must be true or false' });
+        continue;
+      }
+      conditions.push(`${rawValue === 'true' ? '' : 'NOT '}(o.data ? ${keyParam})`);
+      continue;
+    }
+
+    if (['gt', 'gte', 'lt', 'lte'].includes(operator) && !ORDERED_TYPES.includes(field.type)) {
+      details.push({ location: 'query', field: name, message: `can only be used on number, integer and date fields` });
+      continue;
+    }
+
+    // Filter values are checked like observation values, without the range limits
+    const rule = { ...fieldRule(field), min: undefined, max: undefined };
+    const rawValues = operator === 'in' ? rawValue.split(',') : [rawValue];
+    const values = [];
+    for (const value of rawValues) {
+      const result = checkSchema({ value }, { value: { ...rule, required: true } }, 'query');
+      if (result.details.length > 0) {
+        details.push({ location: 'query', field: name, message: result.details[0].message });
+        break;
+      }
+      if (field.type === 'date' && !isCalendarDate(result.values.value)) {
+        details.push({ location: 'query', field: name, message: 'must be a valid date' });
+        break;
+      }
+      values.push(result.values.value);
+    }
+    if (values.length !== rawValues.length) continue;
+
+    const cast = SQL_CASTS[field.type];
+    const column = `(o.data->>${keyParam})::${cast}`;
+    if (operator === 'in') {
+      params.push(values.map(String));
+      conditions.push(`${column} = ANY($${params.length}::${cast}[])`);
+    } else {
+      params.push(String(values[0]));
+      conditions.push(`${column} ${FILTER_OPERATORS[operator]} $${params.length}::${cast}`);
+    }
+  }
+
+  return details.length > 0 ? { details } : { conditions };
+};
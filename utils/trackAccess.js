@@ -0,0 +1,30 @@
+import pool from '../database/connection.js';
+
+// SQL fragments for querying tracks (aliased `t`) as seen by the user bound to $1.
+// A track is visible to the user who recorded it and to members of its project.
+export const TRACK_ACCESS_JOIN = 'LEFT JOIN project_members pm ON pm.project_id = t.project_id AND pm.user_id = $1';
+
+export const TRACK_ACCESS_COLUMN = `CASE
+    WHEN t.user_id = $1 THEN 'owner'
+    WHEN pm.role IN ('owner', 'editor') THEN 'editor'
+    ELSE 'viewer'
+  END AS access`;
+
+export const TRACK_VISIBLE_CONDITION = '(t.user_id = $1 OR pm.user_id IS NOT NULL)';
+
+// Get a track the user can see, with an `access` field ('owner', 'editor' or 'viewer').
+// Returns null when it doesn't exist or isn't visible to the user.
+export const getAccessibleTrack = async (trackId, userId) => {
+  const result = await pool.query(
+    `SELECT t.*, ${TRACK_ACCESS_COLUMN}
+     FROM tracks t
+     ${TRACK_ACCESS_JOIN}
+     WHERE t.id = $2 AND ${TRACK_VISIBLE_CONDITION}`,
+    [userId, trackId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const canEditTrack = (track) =>
+  track.access === 'owner' || track.access === 'editor';
@@ -0,0 +1,44 @@
+// Optimistic concurrency for waypoints. Every write bumps waypoints.version
+// (see database/sync_schema.sql); responses carry it as an ETag and writes may
+// send it back in If-Match to make sure nobody changed the waypoint meanwhile.
+
+export const versionETag = (version) => `"${version}"`;
+
+// Set the ETag header for a waypoint and return the waypoint
+export const setVersionHeader = (res, waypoint) => {
+  if (waypoint?.version !== undefined) {
+    res.set('ETag', versionETag(waypoint.version));
+  }
+  return waypoint;
+};
+
+// Parse an If-Match header into '*', a list of versions, or null when absent.
+// Weak validators (W/"3") are accepted since the version is the whole state.
+export const parseIfMatch = (header) => {
+  if (header === undefined || header.trim() === '') return null;
+  if (header.trim() === '*') return '*';
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter((tag) => /^\d+$/.test(tag))
+    .map(Number);
+};
+
+// The version a write must still find, or null if the request is unconditional.
+// Returns false when If-Match can never match (no version listed matches).
+export const expectedVersion = (req, waypoint) => {
+  const versions = parseIfMatch(req.get('If-Match'));
+  if (versions === null || versions === '*') return null;
+  return versions.includes(waypoint.version) ? waypoint.version : false;
+};
+
+// 412 response carrying the current waypoint, so the client can merge and retry
+export const sendPreconditionFailed = (res, waypoint) => {
+  setVersionHeader(res, waypoint);
+  return res.status(412).json({
+    error: 'Waypoint has been modified by someone else',
+    current_version: waypoint.version,
+    waypoint,
+  });
+};
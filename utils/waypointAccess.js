@@ -0,0 +1,36 @@
+import pool from '../database/connection.js';
+
+// SQL fragments for querying waypoints (aliased `w`) as seen by the user bound to $1.
+// A waypoint is visible to its owner, to every user it has been shared with and
+// to every member of the project it belongs to, until it is deleted.
+export const ACCESS_JOIN = `LEFT JOIN waypoint_shares ws ON ws.waypoint_id = w.id AND ws.user_id = $1
+  LEFT JOIN project_members pm ON pm.project_id = w.project_id AND pm.user_id = $1`;
+
+export const ACCESS_COLUMN = `CASE
+    WHEN w.user_id = $1 THEN 'owner'
+    WHEN ws.can_edit OR pm.role IN ('owner', 'editor') THEN 'editor'
+    ELSE 'viewer'
+  END AS access`;
+
+// Whether the user has access, regardless of the waypoint being (soft) deleted
+export const ACCESS_CONDITION = '(w.user_id = $1 OR ws.user_id IS NOT NULL OR pm.user_id IS NOT NULL)';
+
+export const VISIBLE_CONDITION = `(${ACCESS_CONDITION} AND w.deleted_at IS NULL)`;
+
+// Get a waypoint the user can see, with an `access` field ('owner', 'editor' or 'viewer').
+// Returns null when it doesn't exist or isn't visible to the user. Deleted
+// waypoints awaiting purge are only returned with `includeDeleted`.
+export const getAccessibleWaypoint = async (waypointId, userId, { includeDeleted = false } = {}) => {
+  const result = await pool.query(
+    `SELECT w.*, ${ACCESS_COLUMN}
+     FROM waypoints w
+     ${ACCESS_JOIN}
+     WHERE w.id = $2 AND ${includeDeleted ? ACCESS_CONDITION : VISIBLE_CONDITION}`,
+    [userId, waypointId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const canEditWaypoint = (waypoint) =>
+  waypoint.access === 'owner' || waypoint.access === 'editor';
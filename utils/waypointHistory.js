@@ -0,0 +1,36 @@
+import pool from '../database/connection.js';
+
+// Deleted waypoints are kept this many days before they are purged for good.
+// Images replaced within the window stay available for restoring.
+export const RETENTION_DAYS = Number(process.env.WAYPOINT_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields an earlier version can be restored to. project_id is left out:
+// moving between projects has its own permission rules.
+export const RESTORABLE_FIELDS = ['name', 'latitude', 'longitude', 'notes', 'image_url'];
+
+// When a waypoint deleted at `deletedAt` will be purged
+export const purgeDate = (deletedAt) =>
+  deletedAt ? new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS).toISOString() : null;
+
+// Fields that differ between two snapshots of a waypoint
+export const changedFields = (before, after) => {
+  if (!before) return [];
+  return [...RESTORABLE_FIELDS, 'project_id'].filter(
+    (field) => String(before[field] ?? '') !== String(after[field] ?? '')
+  );
+};
+
+// Permanently delete waypoints deleted more than RETENTION_DAYS ago, together
+// with their attachments (rows only; files are left to cleanup-media).
+// Returns the purged waypoints' ids.
+export const purgeDeletedWaypoints = async ({ retentionDays = RETENTION_DAYS } = {}) => {
+  const result = await pool.query(
+    `DELETE FROM waypoints
+     WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+     RETURNING id`,
+    [retentionDays]
+  );
+  return result.rows.map((row) => row.id);
+};